@@ -0,0 +1,171 @@
+/**
+ * 性能基准测试
+ * 在 benchmark.html 中生成大量便签,测量创建、放置、命中查询和平移缩放时的帧率
+ * 不读写便签墙的 localStorage,不请求在线语录源
+ */
+
+class WallBenchmark {
+    constructor() {
+        this.canvas = document.getElementById('noteCanvas');
+        this.countInput = document.getElementById('benchCount');
+        this.cullingInput = document.getElementById('benchCulling');
+        this.runBtn = document.getElementById('benchRunBtn');
+        this.resultsEl = document.getElementById('benchResults');
+
+        document.documentElement.lang = i18n.locale;
+        i18n.translate(document.documentElement);
+
+        this.viewport = new WallViewport(this.canvas, {
+            storageKey: null,
+            onChange: () => this.culler.invalidate()
+        });
+        this.generator = new NoteGenerator({
+            viewport: this.viewport,
+            onChange: () => this.culler && this.culler.invalidate()
+        });
+        this.generator.attach(this.canvas);
+        this.culler = new NoteCuller(this.generator, this.viewport);
+        this.viewport.bind();
+
+        this.runBtn.addEventListener('click', () => this.run());
+        this.cullingInput.addEventListener('change', () => {
+            this.culler.setEnabled(this.cullingInput.checked);
+        });
+    }
+
+    /**
+     * 运行全部测试
+     */
+    async run() {
+        const count = Math.max(100, parseInt(this.countInput.value) || 5000);
+        this.runBtn.disabled = true;
+        this.results = [];
+        this.report(i18n.t('benchmark.running', { count }));
+
+        if (this.generator.library.entries.length === 0) {
+            await this.generator.library.load();
+        }
+
+        this.generator.clearAll();
+        this.viewport.reset();
+        this.culler.setEnabled(this.cullingInput.checked);
+
+        // 1. 创建便签并等待首帧渲染
+        const side = Math.sqrt(count) * 160; // 便签分布的世界范围
+        let start = performance.now();
+        for (let i = 0; i < count; i++) {
+            const note = this.generator.addNote(this.createRecord(i, side));
+            this.culler.add(note);
+        }
+        this.record(i18n.t('benchmark.create'), performance.now() - start);
+
+        start = performance.now();
+        await this.nextFrame();
+        await this.nextFrame();
+        this.record(i18n.t('benchmark.firstFrame'), performance.now() - start);
+
+        // 2. 放置: 在已有便签中寻找不重叠的位置
+        start = performance.now();
+        for (let i = 0; i < 500; i++) {
+            this.generator.getRandomPosition(100, 100);
+        }
+        this.record(i18n.t('benchmark.placement', { count: 500 }), performance.now() - start);
+
+        // 3. 命中查询: 按矩形查找便签(框选、剔除使用)
+        start = performance.now();
+        for (let i = 0; i < 1000; i++) {
+            this.generator.queryNotes({ x: Math.random() * side, y: Math.random() * side, width: 300, height: 300 });
+        }
+        this.record(i18n.t('benchmark.rectQuery', { count: 1000 }), performance.now() - start);
+
+        // 4. 平移缩放动画的帧率
+        const frames = await this.measureFrames(5000, (progress) => {
+            const angle = progress * Math.PI * 4;
+            this.viewport.setZoom(0.9 + Math.sin(angle) * 0.6);
+            this.viewport.centerOn(side / 2 + Math.cos(angle) * side / 3, side / 2 + Math.sin(angle) * side / 3);
+        });
+        this.record(i18n.t('benchmark.fps'), frames.fps, 'fps');
+        this.record(i18n.t('benchmark.frameP95'), frames.p95);
+        this.record(i18n.t('benchmark.slowFrames'), frames.slowFrames, i18n.t('benchmark.frames'));
+
+        console.table(this.results);
+        this.report(this.results.map(({ name, value, unit }) => `${name}: ${value} ${unit}`).join('\n'));
+        this.runBtn.disabled = false;
+    }
+
+    /**
+     * 生成测试便签记录
+     */
+    createRecord(i, side) {
+        const entries = this.generator.library.entries;
+        const quote = entries.length > 0
+            ? MessageLibrary.toQuote(entries[i % entries.length])
+            : { text: i18n.t('benchmark.noteText', { index: i }), attribution: null };
+        const size = this.generator.calculateNoteSize(NoteStore.displayText(quote));
+
+        return {
+            id: `bench-${i}`,
+            ...quote,
+            color: this.generator.getRandomColor(),
+            source: 'local',
+            x: Math.random() * side,
+            y: Math.random() * side,
+            width: size.width,
+            height: size.height,
+            fontSize: size.fontSize,
+            z: i,
+            createdAt: Date.now()
+        };
+    }
+
+    /**
+     * 在每一帧调用 step,统计帧耗时
+     * @param {number} duration - 持续时间(毫秒)
+     * @param {Function} step - step(progress),progress 为 0-1
+     */
+    measureFrames(duration, step) {
+        return new Promise(resolve => {
+            const deltas = [];
+            const start = performance.now();
+            let last = start;
+
+            const tick = (now) => {
+                deltas.push(now - last);
+                last = now;
+
+                const progress = (now - start) / duration;
+                if (progress >= 1) {
+                    deltas.sort((a, b) => a - b);
+                    resolve({
+                        fps: Math.round(deltas.length / ((now - start) / 1000)),
+                        p95: deltas[Math.floor(deltas.length * 0.95)],
+                        slowFrames: deltas.filter(delta => delta > 33).length
+                    });
+                    return;
+                }
+
+                step(progress);
+                requestAnimationFrame(tick);
+            };
+
+            requestAnimationFrame(tick);
+        });
+    }
+
+    nextFrame() {
+        return new Promise(resolve => requestAnimationFrame(resolve));
+    }
+
+    record(name, value, unit = 'ms') {
+        this.results.push({ name, value: Math.round(value * 10) / 10, unit });
+    }
+
+    report(text) {
+        this.resultsEl.textContent = text;
+    }
+}
+
+// 页面加载后初始化
+document.addEventListener('DOMContentLoaded', () => {
+    window.benchmark = new WallBenchmark();
+});
@@ -0,0 +1,75 @@
+/**
+ * 操作历史模块
+ * 记录便签墙的编辑操作,支持撤销/重做,历史长度有上限
+ *
+ * 操作格式: { label: '移动便签', undo: () => {}, redo: () => {} }
+ */
+
+class CommandHistory {
+    constructor(limit = 100, onChange = () => {}) {
+        this.limit = limit; // 最多保留的操作数
+        this.onChange = onChange; // 历史变化回调(刷新按钮状态)
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * 记录一个已执行的操作(会清空重做栈)
+     */
+    push(command) {
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.onChange();
+    }
+
+    /**
+     * 撤销最近一次操作
+     * @returns {Object|null} 被撤销的操作
+     */
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return null;
+
+        command.undo();
+        this.redoStack.push(command);
+        this.onChange();
+        return command;
+    }
+
+    /**
+     * 重做最近一次撤销的操作
+     * @returns {Object|null} 被重做的操作
+     */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return null;
+
+        command.redo();
+        this.undoStack.push(command);
+        this.onChange();
+        return command;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * 清空历史
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.onChange();
+    }
+}
+
+// 导出为全局变量
+window.CommandHistory = CommandHistory;
@@ -1,129 +1,230 @@
 /**
  * 便签拖拽处理模块
- * 实现便签的拖拽功能
+ * 基于 Pointer Events 统一处理鼠标、触摸和触控笔,每个指针单独跟踪:
+ * - 多人可以同时拖动不同的便签
+ * - 拖动已选中的便签时整组一起移动
+ * - 两根手指按在同一个便签上时旋转和缩放该便签
+ * - 按下的便签(或整组)移到最前
  */
 
 class DragHandler {
-    constructor(generator) {
+    constructor(generator, options = {}) {
         this.generator = generator;
-        this.draggedElement = null;
-        this.offsetX = 0;
-        this.offsetY = 0;
-        this.isDragging = false;
+        this.selection = options.selection || null; // 多选管理器(SelectionManager)
+        this.onDragEnd = options.onDragEnd || (() => {}); // 手势结束回调(moves, label),用于记录撤销历史
+        this.gestures = new Map(); // pointerId -> 手势(同一手势的多个指针共享一个对象)
+        this.minScale = 0.3;
+        this.maxScale = 3;
     }
 
     /**
-     * 为便签元素添加拖拽事件
+     * 在画布上委托指针事件(不为每个便签单独绑定,便签数量多时开销不变)
+     * @param {AbortSignal} [signal] - 中止时移除窗口上的监听
      */
-    enableDrag(noteElement) {
-        // 鼠标按下
-        noteElement.addEventListener('mousedown', (e) => {
-            this.startDrag(e, noteElement);
+    bind(canvas, signal) {
+        canvas.addEventListener('pointerdown', (e) => {
+            const noteElement = e.target.closest('.note');
+            if (noteElement) {
+                this.onPointerDown(e, noteElement);
+            }
         });
 
-        // 触摸开始(移动端支持)
-        noteElement.addEventListener('touchstart', (e) => {
-            const touch = e.touches[0];
-            this.startDrag(touch, noteElement);
-        }, { passive: false });
+        window.addEventListener('pointermove', this.onPointerMove, { signal });
+        window.addEventListener('pointerup', this.onPointerUp, { signal });
+        window.addEventListener('pointercancel', this.onPointerUp, { signal });
     }
 
     /**
-     * 开始拖拽
+     * 是否有便签正在被拖动
      */
-    startDrag(event, noteElement) {
-        // 阻止默认行为(避免文本选择)
-        event.preventDefault();
-
-        this.isDragging = true;
-        this.draggedElement = noteElement;
+    get isDragging() {
+        return this.gestures.size > 0;
+    }
 
-        // 记录鼠标相对于便签的偏移量
-        const rect = noteElement.getBoundingClientRect();
-        this.offsetX = event.clientX - rect.left;
-        this.offsetY = event.clientY - rect.top;
+    /**
+     * 指针按下: 开始拖动,或加入已有手势成为第二根手指
+     */
+    onPointerDown(e, noteElement) {
+        if (e.pointerType === 'mouse' && e.button !== 0) return;
 
-        // 添加拖拽样式
-        noteElement.classList.add('dragging');
+        // 编辑文字或点击删除/置顶/全文按钮时不拖拽,淡出中的便签也不能拖动
+        if (noteElement.classList.contains('editing') || noteElement.classList.contains('expiring') ||
+            e.target.closest('.note-delete, .note-pin, .note-more')) return;
 
-        // 提升z-index
-        noteElement.style.zIndex = '1000';
+        // 阻止默认行为(避免文本选择)
+        e.preventDefault();
+
+        // Shift+点击只切换选中状态
+        if (this.selection && e.shiftKey) {
+            this.selection.toggle(noteElement);
+            return;
+        }
+
+        // 便签已在手势中: 新指针加入该手势
+        const active = this.findGesture(noteElement);
+        if (active) {
+            this.addPointer(active, e);
+            return;
+        }
+
+        // 拖动已选中的便签时整组移动,否则只移动当前便签并清空选择
+        let elements = [noteElement];
+        if (this.selection) {
+            if (this.selection.isSelected(noteElement)) {
+                elements = this.selection.getSelectedNotes().map(note => this.generator.getElement(note.id));
+            } else {
+                this.selection.clear();
+            }
+        }
+
+        // 其他人正在拖动的便签不加入本次手势
+        elements = elements.filter(element => element === noteElement || !this.findGesture(element));
+
+        const gesture = {
+            pointers: new Map(), // pointerId -> 当前世界坐标
+            items: elements.map(element => {
+                const { x, y, rotation, scale } = this.generator.getNoteInfo(element);
+                const origin = { x, y, rotation, scale };
+                return { element, origin, current: origin };
+            })
+        };
+
+        // 添加拖拽样式;按下的便签移到最前并保持(层叠顺序保存在便签记录中)
+        gesture.items.forEach(({ element }) => {
+            element.classList.add('dragging');
+        });
+        this.generator.bringToFront(elements.map(element => element.dataset.id));
 
-        // 添加全局移动和释放事件
-        document.addEventListener('mousemove', this.onDrag);
-        document.addEventListener('mouseup', this.endDrag);
-        document.addEventListener('touchmove', this.onDragTouch, { passive: false });
-        document.addEventListener('touchend', this.endDrag);
+        this.addPointer(gesture, e);
     }
 
     /**
-     * 拖拽中(鼠标)
+     * 查找包含该便签的进行中手势
      */
-    onDrag = (e) => {
-        if (!this.isDragging || !this.draggedElement) return;
+    findGesture(noteElement) {
+        for (const gesture of this.gestures.values()) {
+            if (gesture.items.some(item => item.element === noteElement)) {
+                return gesture;
+            }
+        }
+        return null;
+    }
 
-        this.updatePosition(e.clientX, e.clientY);
+    addPointer(gesture, e) {
+        gesture.pointers.set(e.pointerId, this.generator.clientToWorld(e.clientX, e.clientY));
+        this.gestures.set(e.pointerId, gesture);
+        this.rebase(gesture);
     }
 
     /**
-     * 拖拽中(触摸)
+     * 指针数量变化时,以当前状态作为新的起点(避免跳动)
      */
-    onDragTouch = (e) => {
-        if (!this.isDragging || !this.draggedElement) return;
+    rebase(gesture) {
+        gesture.startPoints = new Map(gesture.pointers);
+        gesture.items.forEach(item => {
+            item.start = item.current;
+        });
+    }
+
+    /**
+     * 指针移动
+     */
+    onPointerMove = (e) => {
+        const gesture = this.gestures.get(e.pointerId);
+        if (!gesture) return;
 
         e.preventDefault(); // 防止页面滚动
-        const touch = e.touches[0];
-        this.updatePosition(touch.clientX, touch.clientY);
+        gesture.pointers.set(e.pointerId, this.generator.clientToWorld(e.clientX, e.clientY));
+
+        // 单个便签上有两根手指时旋转/缩放,否则按第一根手指平移
+        if (gesture.pointers.size >= 2 && gesture.items.length === 1) {
+            this.pinch(gesture);
+        } else {
+            this.drag(gesture);
+        }
     }
 
     /**
-     * 更新便签位置
+     * 平移(整组按同一位移移动,画布无边界,不限制范围)
      */
-    updatePosition(clientX, clientY) {
-        const canvas = this.generator.canvas;
-        const canvasRect = canvas.getBoundingClientRect();
-        const noteWidth = this.draggedElement.offsetWidth;
-        const noteHeight = this.draggedElement.offsetHeight;
-
-        // 计算新位置
-        let newX = clientX - canvasRect.left - this.offsetX;
-        let newY = clientY - canvasRect.top - this.offsetY;
-
-        // 限制在画布范围内
-        newX = Math.max(0, Math.min(newX, canvasRect.width - noteWidth));
-        newY = Math.max(0, Math.min(newY, canvasRect.height - noteHeight));
-
-        // 更新DOM位置
-        this.draggedElement.style.left = `${newX}px`;
-        this.draggedElement.style.top = `${newY}px`;
+    drag(gesture) {
+        const [pointerId, point] = gesture.pointers.entries().next().value;
+        const start = gesture.startPoints.get(pointerId);
+        const dx = point.x - start.x;
+        const dy = point.y - start.y;
+
+        gesture.items.forEach(item => {
+            this.applyTransform(item, { ...item.start, x: item.start.x + dx, y: item.start.y + dy });
+        });
     }
 
     /**
-     * 结束拖拽
+     * 双指旋转和缩放: 角度跟随两指连线,缩放跟随两指间距,位置跟随两指中点
      */
-    endDrag = () => {
-        if (!this.isDragging || !this.draggedElement) return;
+    pinch(gesture) {
+        const [[idA, a], [idB, b]] = gesture.pointers.entries();
+        const a0 = gesture.startPoints.get(idA);
+        const b0 = gesture.startPoints.get(idB);
+        const startDistance = Math.hypot(b0.x - a0.x, b0.y - a0.y);
+        if (startDistance === 0) return;
+
+        const item = gesture.items[0];
+        const start = item.start;
+        const distance = Math.hypot(b.x - a.x, b.y - a.y);
+        const angle = Math.atan2(b.y - a.y, b.x - a.x) - Math.atan2(b0.y - a0.y, b0.x - a0.x);
+
+        this.applyTransform(item, {
+            x: start.x + (a.x + b.x - a0.x - b0.x) / 2,
+            y: start.y + (a.y + b.y - a0.y - b0.y) / 2,
+            rotation: start.rotation + angle * 180 / Math.PI,
+            scale: Math.min(this.maxScale, Math.max(this.minScale, start.scale * distance / startDistance))
+        });
+    }
 
-        // 移除拖拽样式
-        this.draggedElement.classList.remove('dragging');
+    applyTransform(item, transform) {
+        item.current = transform;
+        this.generator.applyNoteTransform(item.element, transform);
+    }
 
-        // 恢复z-index
-        this.draggedElement.style.zIndex = '1';
+    /**
+     * 指针抬起: 手势还有其他指针时继续,否则结束
+     */
+    onPointerUp = (e) => {
+        const gesture = this.gestures.get(e.pointerId);
+        if (!gesture) return;
+
+        this.gestures.delete(e.pointerId);
+        gesture.pointers.delete(e.pointerId);
+
+        if (gesture.pointers.size > 0) {
+            this.rebase(gesture);
+        } else {
+            this.finish(gesture);
+        }
+    }
 
-        // 更新生成器中的位置记录
-        const left = parseFloat(this.draggedElement.style.left);
-        const top = parseFloat(this.draggedElement.style.top);
-        this.generator.updateNotePosition(this.draggedElement, left, top);
+    /**
+     * 结束手势,一次性更新生成器中的便签信息
+     */
+    finish(gesture) {
+        const moves = [];
+        let transformed = false;
+
+        gesture.items.forEach(({ element, origin, current }) => {
+            element.classList.remove('dragging');
+
+            const changed = ['x', 'y', 'rotation', 'scale'].some(key => current[key] !== origin[key]);
+            if (changed) {
+                transformed = transformed || current.rotation !== origin.rotation || current.scale !== origin.scale;
+                moves.push({ element, id: element.dataset.id, from: origin, to: current });
+            }
+        });
 
-        // 清理状态
-        this.draggedElement = null;
-        this.isDragging = false;
+        this.generator.updateNotePositions(moves.map(({ element, to }) => ({ element, ...to })));
 
-        // 移除全局事件
-        document.removeEventListener('mousemove', this.onDrag);
-        document.removeEventListener('mouseup', this.endDrag);
-        document.removeEventListener('touchmove', this.onDragTouch);
-        document.removeEventListener('touchend', this.endDrag);
+        if (moves.length > 0) {
+            this.onDragEnd(moves.map(({ id, from, to }) => ({ id, from, to })), i18n.t(transformed ? 'history.transform' : 'history.move'));
+        }
     }
 
     /**
@@ -0,0 +1,146 @@
+/**
+ * 多语言模块
+ * 界面文字、对话框和日志通过 i18n.t(key, params) 取自当前语言的文案表,缺少的文案退回简体中文
+ * 文案表在 js/locales/ 中以 I18n.addCatalog 注册;模板中的元素以 data-i18n 属性标记,由 translate() 填充
+ * 语言偏好保存在 localStorage(wallLocale),auto 表示跟随浏览器语言(navigator.languages)
+ */
+
+class I18n extends EventTarget {
+    static catalogs = {}; // 语言代码 -> { 文案键: 文案 },其中 'locale.name' 为语言自身的名称
+    static fallbackLocale = 'zh-CN';
+
+    /**
+     * 注册一种语言的文案表(同一语言多次注册时合并)
+     */
+    static addCatalog(locale, messages) {
+        I18n.catalogs[locale] = { ...I18n.catalogs[locale], ...messages };
+    }
+
+    /**
+     * 两个语言代码是否为同一语言(只比较主语言,如 zh-CN 与 zh-TW、en 与 en-GB)
+     */
+    static sameLanguage(a, b) {
+        if (!a || !b) return false;
+        return a.split('-')[0].toLowerCase() === b.split('-')[0].toLowerCase();
+    }
+
+    constructor(storageKey = 'wallLocale') {
+        super();
+        this.storageKey = storageKey;
+        this.preference = 'auto'; // 'auto' 或语言代码
+        this.current = null; // 实际使用的语言,第一次使用时确定(此时各语言的文案表都已注册)
+    }
+
+    /**
+     * 当前语言
+     */
+    get locale() {
+        if (!this.current) {
+            this.current = this.resolve('auto'); // 读取偏好失败的日志也需要语言
+            this.preference = this.loadPreference();
+            this.current = this.resolve(this.preference);
+        }
+        return this.current;
+    }
+
+    /**
+     * 语言偏好('auto' 或语言代码)
+     */
+    getPreference() {
+        return this.locale && this.preference; // 读取 locale 时才加载偏好
+    }
+
+    loadPreference() {
+        try {
+            return localStorage.getItem(this.storageKey) || 'auto';
+        } catch (error) {
+            console.error(this.t('log.localeLoadFailed'), error);
+            return 'auto';
+        }
+    }
+
+    /**
+     * 已注册的语言
+     * @returns {Array<{code: string, name: string}>}
+     */
+    getLocales() {
+        return Object.keys(I18n.catalogs).map(code => ({ code, name: I18n.catalogs[code]['locale.name'] || code }));
+    }
+
+    /**
+     * 由偏好得出实际使用的语言: 指定的语言已注册时直接使用,否则按浏览器语言依次匹配
+     */
+    resolve(preference) {
+        if (preference !== 'auto' && I18n.catalogs[preference]) return preference;
+
+        const codes = Object.keys(I18n.catalogs);
+        const languages = navigator.languages && navigator.languages.length > 0 ? navigator.languages : [navigator.language];
+        for (const language of languages) {
+            const match = codes.find(code => code.toLowerCase() === String(language).toLowerCase()) ||
+                codes.find(code => I18n.sameLanguage(code, language));
+            if (match) return match;
+        }
+        return I18n.fallbackLocale;
+    }
+
+    /**
+     * 设置语言偏好,实际语言变化时派发 change 事件
+     * @param {string} preference - 'auto' 或语言代码
+     * @param {boolean} persist - 是否保存
+     */
+    setPreference(preference, persist = true) {
+        const previous = this.locale;
+        this.preference = preference === 'auto' || I18n.catalogs[preference] ? preference : 'auto';
+        if (persist) {
+            try {
+                localStorage.setItem(this.storageKey, this.preference);
+            } catch (error) {
+                console.error(this.t('log.localeSaveFailed'), error);
+            }
+        }
+
+        const locale = this.resolve(this.preference);
+        if (locale === previous) return;
+
+        this.current = locale;
+        this.dispatchEvent(new CustomEvent('change', { detail: { locale } }));
+    }
+
+    /**
+     * 取文案并替换 {name} 形式的参数;当前语言和简体中文都没有时返回键本身
+     */
+    t(key, params = {}) {
+        const current = I18n.catalogs[this.locale] || {};
+        const fallback = I18n.catalogs[I18n.fallbackLocale] || {};
+        const message = current[key] ?? fallback[key] ?? key;
+
+        return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+    }
+
+    /**
+     * 填充带 data-i18n 标记的元素:
+     *   data-i18n 文字内容,data-i18n-title 提示和读屏标签(title + aria-label),
+     *   data-i18n-label 读屏标签,data-i18n-placeholder 输入框占位文字
+     */
+    translate(root) {
+        root.querySelectorAll('[data-i18n]').forEach(el => {
+            el.textContent = this.t(el.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-title]').forEach(el => {
+            el.title = this.t(el.dataset.i18nTitle);
+            if (el.tagName === 'BUTTON') {
+                el.setAttribute('aria-label', el.title);
+            }
+        });
+        root.querySelectorAll('[data-i18n-label]').forEach(el => {
+            el.setAttribute('aria-label', this.t(el.dataset.i18nLabel));
+        });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+            el.placeholder = this.t(el.dataset.i18nPlaceholder);
+        });
+    }
+}
+
+// 导出为全局变量(页面上的所有便签墙共用同一个语言设置)
+window.I18n = I18n;
+window.i18n = new I18n();
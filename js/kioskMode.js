@@ -0,0 +1,200 @@
+/**
+ * 展示模式模块
+ * 大堂屏幕等无人操作的场景下,通过 URL 参数配置便签墙,并保持全屏和屏幕常亮
+ *
+ * 支持的参数(均为可选,无效时使用默认值):
+ *   speed=3000            生成间隔(毫秒,500-5000)
+ *   layout=circle         布局名称
+ *   theme=dark            主题 id 或 auto
+ *   sources=hitokoto,local  只启用这些语录源(在预加载语录之前生效,不请求其他语录源)
+ *   categories=诗词,励志   只使用这些本地文本分类
+ *   max=50 / ttl=300 / rotate=1  数量上限、存活时间(秒)、轮换模式
+ *   autostart=0           不自动开始生成
+ *   controls=0            隐藏控制面板等界面元素
+ *   wakelock=1            请求屏幕常亮
+ *   debug=1               开启调试模式(不保存)
+ *   kiosk=1               展示模式: 等同于 controls=0&wakelock=1
+ *   seed=bug-42           随机种子,同一种子生成相同的便签墙(见 readSeed)
+ *   channel=lobby         与同一浏览器中 channel 相同的标签页同步便签
+ *   relay=ws://host:8787/lobby  通过 WebSocket 中继服务器同步便签(路径为房间名)
+ * 除布局外,URL 参数只对本次打开生效,不会覆盖保存的设置
+ */
+
+class KioskMode {
+    /**
+     * @param {string|Object} search - 查询字符串,或同名参数组成的对象(嵌入时的挂载选项)
+     * @param {HTMLElement} element - 全屏显示的元素
+     */
+    constructor(search = location.search, element = document.documentElement) {
+        this.params = new URLSearchParams(search);
+        this.element = element;
+        this.warnings = []; // 被忽略的无效参数
+        this.wakeLock = null; // 当前持有的屏幕常亮锁
+        this.keepAwake = false; // 是否需要保持常亮(页面重新可见时重新申请)
+    }
+
+    /**
+     * 解析并校验 URL 参数
+     * @param {NoteWallApp} app - 用于校验布局、主题、语录源和分类是否存在
+     * @returns {Object} 只包含有效参数的配置
+     */
+    parse(app) {
+        const config = {};
+        const generator = app.generator;
+
+        this.read('speed', value => {
+            const speed = Number(value);
+            return Number.isFinite(speed) && speed >= 500 && speed <= 5000 ? speed : undefined;
+        }, config);
+        this.read('layout', value => generator.layouts.get(value) ? value : undefined, config);
+        this.read('theme', value => value === 'auto' || app.themes.get(value) ? value : undefined, config);
+        this.read('sources', value => this.readList(value, generator.providers.list().map(provider => provider.name)), config);
+        this.read('categories', value => this.readList(value, generator.library.getCategories()), config);
+        this.read('max', value => this.readCount(value), config, 'maxNotes');
+        this.read('ttl', value => this.readCount(value), config);
+        this.read('rotate', value => this.readFlag(value), config);
+        this.read('autostart', value => this.readFlag(value), config, 'autoStart');
+        this.read('controls', value => this.readFlag(value), config);
+        this.read('wakelock', value => this.readFlag(value), config, 'wakeLock');
+        this.read('debug', value => this.readFlag(value), config);
+        this.read('channel', value => value.length > 0 && value.length <= 64 ? value : undefined, config);
+        this.read('relay', value => this.readSocketUrl(value), config);
+
+        const kiosk = this.read('kiosk', value => this.readFlag(value), {});
+        if (kiosk) {
+            config.controls = config.controls ?? false;
+            config.wakeLock = config.wakeLock ?? true;
+        }
+
+        return config;
+    }
+
+    /**
+     * 随机种子(1-64 个字符),需要在创建生成器之前读取,因此不在 parse 中
+     * @returns {string|undefined}
+     */
+    readSeed() {
+        return this.read('seed', value => value.length > 0 && value.length <= 64 ? value : undefined, {});
+    }
+
+    /**
+     * 读取单个参数,无效时记录警告
+     * @returns {*} 有效值,参数不存在或无效时为 undefined
+     */
+    read(name, parseValue, config, key = name) {
+        if (!this.params.has(name)) return undefined;
+
+        const raw = this.params.get(name);
+        const value = parseValue(raw.trim());
+        if (value === undefined) {
+            this.warnings.push(i18n.t('kiosk.invalidParam', { name, value: raw }));
+            return undefined;
+        }
+
+        config[key] = value;
+        return value;
+    }
+
+    /**
+     * 逗号分隔的名称列表,必须全部存在
+     */
+    readList(value, known) {
+        const names = value.split(',').map(name => name.trim()).filter(Boolean);
+        return names.length > 0 && names.every(name => known.includes(name)) ? names : undefined;
+    }
+
+    /**
+     * 非负整数
+     */
+    readCount(value) {
+        const count = Number(value);
+        return Number.isInteger(count) && count >= 0 ? count : undefined;
+    }
+
+    /**
+     * ws:// 或 wss:// 地址
+     */
+    readSocketUrl(value) {
+        try {
+            const url = new URL(value);
+            return ['ws:', 'wss:'].includes(url.protocol) ? url.href : undefined;
+        } catch (error) {
+            return undefined;
+        }
+    }
+
+    /**
+     * 开关: 1/true/yes 或 0/false/no
+     */
+    readFlag(value) {
+        const flag = value.toLowerCase();
+        if (['1', 'true', 'yes', ''].includes(flag)) return true;
+        if (['0', 'false', 'no'].includes(flag)) return false;
+        return undefined;
+    }
+
+    /**
+     * 是否处于全屏
+     */
+    isFullscreen() {
+        return document.fullscreenElement === this.element;
+    }
+
+    /**
+     * 切换全屏(需由用户操作触发)
+     */
+    async toggleFullscreen() {
+        try {
+            if (this.isFullscreen()) {
+                await document.exitFullscreen();
+            } else {
+                await this.element.requestFullscreen();
+            }
+        } catch (error) {
+            console.warn(i18n.t('log.fullscreenFailed'), error);
+        }
+    }
+
+    /**
+     * 保持屏幕常亮(浏览器不支持时忽略),页面切回前台后自动重新申请
+     */
+    async requestWakeLock() {
+        this.keepAwake = true;
+        if (!('wakeLock' in navigator) || this.wakeLock || document.visibilityState !== 'visible') return;
+
+        try {
+            this.wakeLock = await navigator.wakeLock.request('screen');
+            this.wakeLock.addEventListener('release', () => {
+                this.wakeLock = null;
+            });
+        } catch (error) {
+            console.warn(i18n.t('log.wakeLockFailed'), error);
+        }
+    }
+
+    /**
+     * 不再保持屏幕常亮
+     */
+    async releaseWakeLock() {
+        this.keepAwake = false;
+        if (this.wakeLock) {
+            await this.wakeLock.release();
+            this.wakeLock = null;
+        }
+    }
+
+    /**
+     * 页面隐藏时浏览器会自动释放常亮锁,重新可见时再申请
+     * @param {AbortSignal} [signal] - 中止时停止监听
+     */
+    bind(signal) {
+        document.addEventListener('visibilitychange', () => {
+            if (this.keepAwake && document.visibilityState === 'visible') {
+                this.requestWakeLock();
+            }
+        }, { signal });
+    }
+}
+
+// 导出为全局变量
+window.KioskMode = KioskMode;
@@ -0,0 +1,212 @@
+/**
+ * 布局引擎模块
+ * 以注册表的方式管理便签的排列形状,每种布局声明自己的容量
+ *
+ * 布局定义格式:
+ * {
+ *     label: '爱心',                          // 控制面板中显示的名称(可以是文案键,如 'layout.heart')
+ *     capacity: 50 | (context) => number,     // 排满一圈所需的便签数
+ *     position: (index, context) => {x, y}    // 第 index 个便签的中心点(画布坐标)
+ * }
+ * context 包含 width、height(画布尺寸)、capacity、size(便签尺寸)和 generator
+ */
+
+class LayoutRegistry {
+    constructor() {
+        this.layouts = new Map();
+        this.registerBuiltins();
+    }
+
+    /**
+     * 注册布局(同名布局会被覆盖)
+     */
+    register(name, layout) {
+        if (typeof layout.position !== 'function') {
+            throw new Error(i18n.t('error.layoutPosition', { name }));
+        }
+        this.layouts.set(name, { name, label: name, capacity: 50, ...layout });
+    }
+
+    /**
+     * 获取布局,不存在时返回 null
+     */
+    get(name) {
+        return this.layouts.get(name) || null;
+    }
+
+    /**
+     * 列出所有布局
+     */
+    list() {
+        return Array.from(this.layouts.values());
+    }
+
+    /**
+     * 计算布局容量
+     */
+    getCapacity(layout, context) {
+        const capacity = typeof layout.capacity === 'function'
+            ? layout.capacity(context)
+            : layout.capacity;
+        return Math.max(1, Math.floor(capacity));
+    }
+
+    /**
+     * 注册内置布局
+     */
+    registerBuiltins() {
+        // 爱心 - 参数方程曲线
+        this.register('heart', {
+            label: 'layout.heart',
+            capacity: 50,
+            position(index, { width, height, capacity }) {
+                const t = (index / capacity) * Math.PI * 2;
+
+                // 响应式缩放 - 根据屏幕大小自动调整
+                const baseScale = Math.min(width, height);
+                let scale;
+
+                if (baseScale < 500) {
+                    // 手机竖屏 - 更小的爱心
+                    scale = baseScale * 0.025;
+                } else if (baseScale < 768) {
+                    // 手机横屏/平板竖屏
+                    scale = baseScale * 0.028;
+                } else if (baseScale < 1024) {
+                    // 平板横屏
+                    scale = baseScale * 0.032;
+                } else {
+                    // 桌面
+                    scale = baseScale * 0.035;
+                }
+
+                const x = 16 * Math.pow(Math.sin(t), 3) * scale;
+                const y = -(13 * Math.cos(t) - 5 * Math.cos(2 * t) - 2 * Math.cos(3 * t) - Math.cos(4 * t)) * scale;
+
+                return { x: width / 2 + x, y: height / 2 + y };
+            }
+        });
+
+        // 圆形 - 从正上方开始顺时针排列
+        this.register('circle', {
+            label: 'layout.circle',
+            capacity: 36,
+            position(index, { width, height, capacity }) {
+                const radius = Math.min(width, height) * 0.38;
+                const angle = (index / capacity) * Math.PI * 2 - Math.PI / 2;
+
+                return {
+                    x: width / 2 + Math.cos(angle) * radius,
+                    y: height / 2 + Math.sin(angle) * radius
+                };
+            }
+        });
+
+        // 螺旋 - 黄金角向日葵螺旋,由中心向外铺开
+        this.register('spiral', {
+            label: 'layout.spiral',
+            capacity: 80,
+            position(index, { width, height, capacity }) {
+                const goldenAngle = Math.PI * (3 - Math.sqrt(5));
+                const maxRadius = Math.min(width, height) * 0.45;
+                const radius = maxRadius * Math.sqrt((index % capacity + 0.5) / capacity);
+                const angle = index * goldenAngle;
+
+                return {
+                    x: width / 2 + Math.cos(angle) * radius,
+                    y: height / 2 + Math.sin(angle) * radius
+                };
+            }
+        });
+
+        // 网格 - 容量由画布能容纳的行列数决定
+        const gridCell = { width: 140, height: 130 };
+        const gridShape = ({ width, height }) => ({
+            cols: Math.max(1, Math.floor(width / gridCell.width)),
+            rows: Math.max(1, Math.floor(height / gridCell.height))
+        });
+
+        this.register('grid', {
+            label: 'layout.grid',
+            capacity: (context) => {
+                const { cols, rows } = gridShape(context);
+                return cols * rows;
+            },
+            position(index, context) {
+                const { cols, rows } = gridShape(context);
+                const slot = index % (cols * rows);
+                const offsetX = (context.width - cols * gridCell.width) / 2;
+                const offsetY = (context.height - rows * gridCell.height) / 2;
+
+                return {
+                    x: offsetX + (slot % cols + 0.5) * gridCell.width,
+                    y: offsetY + (Math.floor(slot / cols) + 0.5) * gridCell.height
+                };
+            }
+        });
+
+        // 散点 - 随机位置并尽量避免重叠
+        this.register('scatter', {
+            label: 'layout.scatter',
+            capacity: ({ width, height }) => (width * height) / (160 * 160),
+            position(index, { size, generator }) {
+                const position = generator.getRandomPosition(size.width, size.height);
+                return {
+                    x: position.x + size.width / 2,
+                    y: position.y + size.height / 2
+                };
+            }
+        });
+
+        // 波浪 - 两条错开的正弦曲线
+        this.register('wave', {
+            label: 'layout.wave',
+            capacity: 40,
+            position(index, { width, height, capacity }) {
+                const rows = 2;
+                const perRow = Math.ceil(capacity / rows);
+                const slot = index % capacity;
+                const row = Math.floor(slot / perRow);
+                const col = slot % perRow;
+
+                const padding = Math.min(80, width * 0.08);
+                const progress = perRow > 1 ? col / (perRow - 1) : 0.5;
+                const amplitude = height * 0.12;
+                const rowGap = height * 0.3;
+
+                return {
+                    x: padding + progress * (width - padding * 2),
+                    y: height / 2 + (row - (rows - 1) / 2) * rowGap
+                        + Math.sin(progress * Math.PI * 3 + row * Math.PI) * amplitude
+                };
+            }
+        });
+
+        // 文字/图形 - 便签填满输入的文字或 SVG path 形状
+        const shapePoints = ({ width, height, size, generator }) => {
+            // 采样间距取墙上便签(按文字测量的尺寸)的平均宽度,空墙时取正在放置的便签,允许少量重叠
+            // 取整到 10px,便签尺寸略有变化时沿用缓存的采样点
+            const notes = generator.notes;
+            const noteWidth = notes.length > 0
+                ? notes.reduce((sum, note) => sum + note.width, 0) / notes.length
+                : size.width;
+            const spacing = Math.max(10, Math.round(noteWidth * 0.08) * 10);
+            return generator.shapeSampler.getPoints(width, height, spacing);
+        };
+
+        this.register('shape', {
+            label: 'layout.shape',
+            capacity: (context) => shapePoints(context).length,
+            position(index, context) {
+                const points = shapePoints(context);
+                if (points.length === 0) {
+                    return { x: context.width / 2, y: context.height / 2 };
+                }
+                return points[index % points.length];
+            }
+        });
+    }
+}
+
+// 导出为全局变量
+window.LayoutRegistry = LayoutRegistry;
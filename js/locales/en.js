@@ -0,0 +1,310 @@
+/**
+ * 英文文案
+ * 新增文案时在 zh-CN.js 和这里同时添加,键相同
+ */
+
+I18n.addCatalog('en', {
+    // 语言
+    'locale.name': 'English',
+    'locale.auto': '🌐 Browser language',
+
+    // 页面标题
+    'app.title': 'Note Wall - The Romance of Code',
+    'app.heading': 'Note Wall',
+    'app.subtitle': '// Spend time on code · let warmth surface',
+
+    // 便签墙
+    'ui.wall': 'Note wall',
+    'ui.keyboardHelp': 'Arrow keys move the note, hold Shift to move further; PageUp and PageDown switch notes, Home and End jump to the first or last note; Delete removes, Enter edits, Shift+F10 opens the menu',
+    'ui.minimap': 'Minimap: click or drag to navigate',
+    'ui.reader': 'Full note',
+    'ui.close': 'Close',
+    'ui.themeToggle': 'Toggle theme',
+    'ui.fullscreen': 'Fullscreen',
+
+    // 便签
+    'note.role': 'note',
+    'note.delete': 'Delete note',
+    'note.pin': 'Pin (never removed automatically)',
+    'note.more': 'Read full text',
+    'note.pinnedSuffix': ' (pinned)',
+
+    // 右键菜单
+    'menu.front': '⬆️ Bring to front',
+    'menu.back': '⬇️ Send to back',
+    'menu.onTop': '📍 Always on top',
+    'menu.offTop': '📍 Not always on top',
+
+    // 便签全文
+    'reader.userNote': 'Handwritten note',
+    'reader.source': 'Source: {source}',
+
+    // 主题编辑器
+    'themeEditor.name': 'Name',
+    'themeEditor.dark': 'Dark style',
+    'themeEditor.background': 'Background',
+    'themeEditor.palette': 'Notes',
+    'themeEditor.addColor': 'Add color',
+    'themeEditor.delete': 'Delete theme',
+    'themeEditor.save': 'Save and apply',
+    'themeEditor.copyName': '{name} copy',
+    'themeEditor.removeColor': 'Remove color',
+
+    // 控制面板
+    'panel.toggle': 'Show controls',
+    'panel.seed': 'Random seed',
+    'panel.start': 'Start',
+    'panel.pause': 'Pause',
+    'panel.clear': 'Clear',
+    'panel.debug': 'Debug mode',
+    'panel.undo': 'Undo (Ctrl+Z)',
+    'panel.redo': 'Redo (Ctrl+Shift+Z)',
+    'panel.sources': 'Quote sources',
+    'panel.categories': 'Local text categories',
+    'panel.zoomOut': 'Zoom out',
+    'panel.zoomReset': 'Reset to 100%',
+    'panel.zoomIn': 'Zoom in',
+    'panel.fit': 'Show all notes',
+    'panel.theme': 'Theme',
+    'panel.editTheme': 'Edit theme colors',
+    'panel.layout': 'Layout',
+    'panel.language': 'Language',
+    'panel.shape': 'Text or SVG path',
+    'panel.shapeHint': 'Text for the notes to spell, or an SVG path starting with M',
+    'panel.applyShape': 'Apply shape',
+    'panel.distributeHorizontal': 'Distribute horizontally (3 or more)',
+    'panel.distributeVertical': 'Distribute vertically (3 or more)',
+    'panel.exportFormat': 'Export format',
+    'panel.exportBackground': 'Background',
+    'panel.exportBackgroundHint': 'Include the theme background in the export',
+    'panel.export': 'Export image',
+    'panel.saveSnapshot': 'Save snapshot (JSON)',
+    'panel.loadSnapshot': 'Load snapshot (JSON)',
+    'panel.share': 'Copy share link',
+    'panel.maxNotes': 'Max',
+    'panel.maxNotesHint': 'Maximum number of notes (pinned notes excluded); the oldest fade out beyond it, 0 for no limit',
+    'panel.ttl': 'Sec',
+    'panel.ttlHint': 'Note lifetime in seconds, 0 never expires',
+    'panel.rotate': 'Rotate',
+    'panel.rotateHint': 'Once the layout is full, new notes replace the oldest in place',
+
+    // 对齐与分布
+    'align.left': 'Align left',
+    'align.center': 'Center horizontally',
+    'align.top': 'Align top',
+    'align.horizontal': 'Distribute horizontally',
+    'align.vertical': 'Distribute vertically',
+
+    // 主题
+    'theme.auto': '🖥️ System default',
+    'theme.light': '☀️ Light',
+    'theme.dark': '🌙 Dark',
+    'theme.sunset': '🌇 Sunset',
+    'theme.ocean': '🌊 Ocean',
+
+    // 布局
+    'layout.heart': '❤️ Heart',
+    'layout.circle': '⭕ Circle',
+    'layout.spiral': '🌀 Spiral',
+    'layout.grid': '▦ Grid',
+    'layout.scatter': '✨ Scatter',
+    'layout.wave': '🌊 Wave',
+    'layout.shape': '🔤 Text/shape',
+
+    // 语录源
+    'source.hint': 'Weight {weight} · timeout {timeout}ms · language {language}',
+    'source.anyLanguage': 'follows the interface',
+    'source.hitokoto': 'Hitokoto',
+    'source.jinrishici': 'Jinrishici',
+    'source.dummyjson': 'English quotes',
+    'source.local': 'Local',
+    'source.cache': 'Offline cache',
+
+    // 网络状态
+    'network.online': '🟢online',
+    'network.offline': '🔴offline',
+
+    // 同步
+    'sync.tabs': 'tabs ({name})',
+    'sync.relay': 'relay ({url})',
+
+    // 生命周期
+    'policy.unlimited': 'unlimited',
+    'policy.on': 'on',
+    'policy.off': 'off',
+
+    // 列表
+    'list.separator': ', ',
+    'list.none': '(none)',
+    'list.all': 'all',
+    'list.semicolon': '; ',
+
+    // 撤销历史
+    'history.clear': 'Clear notes',
+    'history.move': 'Move notes',
+    'history.transform': 'Rotate/scale note',
+    'history.front': 'Bring to front',
+    'history.back': 'Send to back',
+    'history.onTop': 'Always on top',
+    'history.offTop': 'Not always on top',
+    'history.create': 'Create note',
+    'history.edit': 'Edit note',
+    'history.remove': 'Delete note',
+
+    // 对话框
+    'dialog.snapshotImportFailed': 'Failed to import snapshot: {message}',
+    'dialog.exportFailed': 'Failed to export the image: {message}',
+    'dialog.clearAll': 'Clear all {count} notes?',
+    'dialog.copyShareLink': 'Copy the share link:',
+    'dialog.deleteTheme': 'Delete the theme "{name}"?',
+
+    // 读屏播报
+    'a11y.newNote': 'New note: {text}',
+
+    // 展示模式
+    'kiosk.invalidParam': 'Invalid parameter {name}={value}, using the default',
+
+    // 文本库
+    'library.uncategorized': 'Uncategorized',
+
+    // 性能基准测试
+    'benchmark.title': 'Note Wall - Benchmark',
+    'benchmark.count': 'Count',
+    'benchmark.countTitle': 'Number of notes',
+    'benchmark.culling': 'Viewport culling',
+    'benchmark.cullingTitle': 'Only render notes near the visible area',
+    'benchmark.run': 'Run benchmark',
+    'benchmark.idle': 'Click ▶ to run the benchmark',
+    'benchmark.running': 'Running ({count} notes)...',
+    'benchmark.noteText': 'Note #{index}',
+    'benchmark.create': 'Create notes',
+    'benchmark.firstFrame': 'First frame',
+    'benchmark.placement': 'Placement queries ×{count}',
+    'benchmark.rectQuery': 'Rect queries ×{count}',
+    'benchmark.fps': 'Average frame rate',
+    'benchmark.frameP95': 'Frame time P95',
+    'benchmark.slowFrames': 'Frames over 33ms',
+    'benchmark.frames': 'frames',
+
+    // 错误信息
+    'error.layoutPosition': 'Layout {name} has no position method',
+    'error.libraryMessages': 'The text library has no messages array',
+    'error.providerShape': 'A quote source needs a name and a fetch method',
+    'error.jsonProvider': 'A custom quote source needs name, url and textField',
+    'error.noIndexedDB': 'IndexedDB is not available in this environment',
+    'error.timeout': 'Request timed out ({timeout}ms)',
+    'error.noteExists': 'Note already exists: {id}',
+    'error.mountTarget': 'mount() needs a DOM element',
+    'error.builtInTheme': 'Built-in themes cannot be changed',
+    'error.themeFormat': 'Invalid theme format',
+    'error.themeName': 'Please enter a theme name',
+    'error.themeBackground': 'The background needs 3 colors',
+    'error.themePaletteSize': 'The note palette needs 1-{max} colors',
+    'error.themePaletteColor': 'The note palette contains an invalid color',
+    'error.snapshotFormat': 'Not a note wall snapshot file',
+    'error.snapshotVersion': 'Unsupported snapshot version: {version}',
+    'error.snapshotNotes': 'The snapshot has no note list',
+    'error.snapshotNoteText': 'Note {index} has no text',
+    'error.snapshotNotePosition': 'Note {index} has an invalid position',
+    'error.snapshotJson': 'The snapshot file is not valid JSON',
+    'error.shareDecompress': 'This browser cannot decompress share links',
+    'error.shareUnknown': 'Unrecognized share link',
+    'error.exportTooLarge': 'The image is too large ({width}x{height}) for the browser to create a PNG; lower the resolution or export SVG',
+
+    // 调试日志
+    'log.appInit': '🚀 Initializing note wall...',
+    'log.appReady': '✅ Note wall ready!',
+    'log.seed': '🎲 Random seed: {seed} (notes are neither restored nor saved)',
+    'log.appDestroyed': '👋 Note wall destroyed',
+    'log.snapshotImportFailed': '❌ Failed to import snapshot:',
+    'log.panelCollapsed': '📦 Control panel collapsed',
+    'log.panelExpanded': '📂 Control panel expanded',
+    'log.online': '🟢 Back online, using online quote sources again',
+    'log.offline': '🔴 Offline, using local texts and the offline cache',
+    'log.resized': '📐 Window resized, repositioning notes',
+    'log.swRegistered': '📦 Service worker registered ({network})',
+    'log.swFailed': '⚠️ Service worker registration failed:',
+    'log.generationStarted': '▶️ Generating notes (interval: {interval}ms)',
+    'log.generationPaused': '⏸️ Note generation paused',
+    'log.cleared': '🗑️ All notes cleared',
+    'log.undo': '↶ Undo: {label}',
+    'log.redo': '↷ Redo: {label}',
+    'log.fitAll': '🔍 Showing all notes ({zoom}%)',
+    'log.exportFailed': '❌ Failed to export image:',
+    'log.theme': '🎨 Theme: {name}',
+    'log.themeAuto': '🎨 Theme: {name} (following the system)',
+    'log.shareCopied': '🔗 Share link copied ({length} characters)',
+    'log.shareFailed': '❌ Failed to create share link:',
+    'log.sourceEnabled': '🔌 Quote source {name} enabled',
+    'log.sourceDisabled': '🔌 Quote source {name} disabled',
+    'log.policy': '⌛ Lifecycle: max {maxNotes} · lifetime {ttl} · rotation {rotate}',
+    'log.categories': '🏷️ Local text categories: {categories}',
+    'log.repositioned': '🔄 Repositioned {count} notes',
+    'log.urlParams': '🖥️ URL parameters:',
+    'log.fullscreenOn': '🖥️ Entered fullscreen',
+    'log.fullscreenOff': '🖥️ Exited fullscreen',
+    'log.debugOn': '🐛 Debug mode on',
+    'log.debugOff': '🔇 Debug mode off',
+    'log.fullscreenFailed': '⚠️ Failed to toggle fullscreen:',
+    'log.wakeLockFailed': '⚠️ Screen wake lock request failed:',
+    'log.libraryFailed': '❌ Failed to load text library: {library}',
+    'log.noteCreated': '✏️ Created note: "{text}..."',
+    'log.noteEdited': '✏️ Edited note: "{text}..."',
+    'log.noteDeleted': '🗑️ Note deleted',
+    'log.policyLoadFailed': '❌ Failed to load note lifecycle settings:',
+    'log.policySaveFailed': '❌ Failed to save note lifecycle settings:',
+    'log.sourcesLoadFailed': '❌ Failed to load quote source settings:',
+    'log.sourcesSaveFailed': '❌ Failed to save quote source settings:',
+    'log.categoriesLoadFailed': '❌ Failed to load the category filter:',
+    'log.categoriesSaveFailed': '❌ Failed to save the category filter:',
+    'log.noteExpired': '⌛ Note expired: "{text}..."',
+    'log.noteRead': '📖 Reading note: "{text}..."',
+    'log.generatorDebugOn': '🔧 Debug mode on',
+    'log.generatorDebugOff': '🔧 Debug mode off',
+    'log.libraryLoaded': '✅ Loaded {count} local texts (categories: {categories})',
+    'log.libraryFallback': '❌ Failed to load the text libraries, using built-in texts',
+    'log.contentLanguage': '🌐 Content language: {language}',
+    'log.quotesPreloaded': '✅ Preloaded {count} quotes',
+    'log.preloadFailed': '⚠️ Failed to preload quotes, using local texts',
+    'log.cacheLoaded': '💾 {count} quotes in the offline cache',
+    'log.cacheLoadFailed': '⚠️ Failed to read the offline quote cache:',
+    'log.cacheSaveFailed': '⚠️ Failed to save a quote to the offline cache:',
+    'log.sourceConfigFailed': '⚠️ Failed to load the quote source config:',
+    'log.sourceRegistered': '🔌 Registered custom quote source: {name}',
+    'log.unknownSource': '⚠️ Unknown quote source: {name}',
+    'log.invalidSourceConfig': '⚠️ Invalid quote source config:',
+    'log.sourceFailed': 'Quote source {name} failed:',
+    'log.unknownLayout': '⚠️ Unknown layout: {name}',
+    'log.layout': '🧩 Layout: {name}',
+    'log.shape': '🔤 Shape ({type}): {value}',
+    'log.noteGenerated': '📝 Generated note #{count} [{network} · {source}]: "{text}..." ({color})',
+    'log.restored': '💾 Restored {count} notes',
+    'log.pinned': '📌 Pinned note: "{text}..."',
+    'log.unpinned': '📌 Unpinned note: "{text}..."',
+    'log.onTop': '📍 Always on top: {count} notes',
+    'log.offTop': '📍 Not always on top: {count} notes',
+    'log.selected': '🔲 Selected {count} notes',
+    'log.arranged': '📏 {label}: {count} notes',
+    'log.pathFailed': '⚠️ Failed to parse the SVG path:',
+    'log.noBroadcastChannel': '⚠️ BroadcastChannel is not supported, tab sync is unavailable',
+    'log.syncParseFailed': '⚠️ Failed to parse a sync message:',
+    'log.relayDisconnected': '⚠️ Relay disconnected, reconnecting in {seconds} s',
+    'log.syncConnected': '🔗 Sync connected: {label}',
+    'log.syncApplyFailed': '⚠️ Failed to apply a sync message:',
+    'log.viewportLoadFailed': '⚠️ Failed to load the viewport:',
+    'log.viewportSaveFailed': '⚠️ Failed to save the viewport:',
+    'log.storageIncompatible': '⚠️ The saved wall has an incompatible format and was ignored',
+    'log.storageLoadFailed': '❌ Failed to load the wall state:',
+    'log.storageSaveFailed': '❌ Failed to save the wall state:',
+    'log.exportedPng': '📷 Exported PNG ({width}x{height})',
+    'log.exportScaleReduced': '📏 The wall is too large, exporting at {scale}x instead',
+    'log.exportedSvg': '📐 Exported SVG ({count} notes)',
+    'log.invalidTheme': '⚠️ Ignored an invalid custom theme: {message}',
+    'log.themeLoadFailed': '❌ Failed to load theme settings:',
+    'log.themeSaveFailed': '❌ Failed to save theme settings:',
+    'log.snapshotLoaded': '📥 Loaded snapshot: {count} notes',
+    'log.shareInvalid': '❌ The snapshot in the share link is invalid:',
+    'log.locale': '🌐 Interface language: {name}',
+    'log.localeLoadFailed': '❌ Failed to load the language setting:',
+    'log.localeSaveFailed': '❌ Failed to save the language setting:'
+});
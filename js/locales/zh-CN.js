@@ -0,0 +1,310 @@
+/**
+ * 简体中文文案(默认语言,其他语言缺少的文案使用这里的文案)
+ * 文案中的 {name} 为参数,由 i18n.t(key, { name }) 替换
+ */
+
+I18n.addCatalog('zh-CN', {
+    // 语言
+    'locale.name': '简体中文',
+    'locale.auto': '🌐 跟随浏览器',
+
+    // 页面标题
+    'app.title': '便签墙 - 代码的浪漫 · 思想的碎片',
+    'app.heading': '便签墙',
+    'app.subtitle': '// 用代码时光 · 让温暖浮现',
+
+    // 便签墙
+    'ui.wall': '便签墙',
+    'ui.keyboardHelp': '方向键移动便签,按住 Shift 移动更远;PageUp、PageDown 切换便签,Home、End 跳到第一个或最后一个;Delete 删除,Enter 编辑,Shift+F10 打开菜单',
+    'ui.minimap': '小地图: 点击或拖动定位',
+    'ui.reader': '便签全文',
+    'ui.close': '关闭',
+    'ui.themeToggle': '切换主题',
+    'ui.fullscreen': '全屏',
+
+    // 便签
+    'note.role': '便签',
+    'note.delete': '删除便签',
+    'note.pin': '置顶(不会被自动移除)',
+    'note.more': '查看全文',
+    'note.pinnedSuffix': '(已置顶)',
+
+    // 右键菜单
+    'menu.front': '⬆️ 移到最前',
+    'menu.back': '⬇️ 移到最后',
+    'menu.onTop': '📍 总在最上层',
+    'menu.offTop': '📍 取消总在最上层',
+
+    // 便签全文
+    'reader.userNote': '手写便签',
+    'reader.source': '来源: {source}',
+
+    // 主题编辑器
+    'themeEditor.name': '名称',
+    'themeEditor.dark': '深色样式',
+    'themeEditor.background': '背景',
+    'themeEditor.palette': '便签',
+    'themeEditor.addColor': '添加颜色',
+    'themeEditor.delete': '删除主题',
+    'themeEditor.save': '保存并使用',
+    'themeEditor.copyName': '{name} 副本',
+    'themeEditor.removeColor': '移除颜色',
+
+    // 控制面板
+    'panel.toggle': '展开控制',
+    'panel.seed': '随机种子',
+    'panel.start': '开始',
+    'panel.pause': '暂停',
+    'panel.clear': '清空',
+    'panel.debug': '调试模式',
+    'panel.undo': '撤销 (Ctrl+Z)',
+    'panel.redo': '重做 (Ctrl+Shift+Z)',
+    'panel.sources': '语录源',
+    'panel.categories': '本地文本分类',
+    'panel.zoomOut': '缩小',
+    'panel.zoomReset': '恢复 100%',
+    'panel.zoomIn': '放大',
+    'panel.fit': '显示全部便签',
+    'panel.theme': '主题',
+    'panel.editTheme': '编辑主题配色',
+    'panel.layout': '布局',
+    'panel.language': '语言',
+    'panel.shape': '文字或 SVG path',
+    'panel.shapeHint': '便签排成的文字,或以 M 开头的 SVG path',
+    'panel.applyShape': '应用形状',
+    'panel.distributeHorizontal': '水平等距分布(至少3个)',
+    'panel.distributeVertical': '垂直等距分布(至少3个)',
+    'panel.exportFormat': '导出格式',
+    'panel.exportBackground': '背景',
+    'panel.exportBackgroundHint': '导出时包含主题背景',
+    'panel.export': '导出图片',
+    'panel.saveSnapshot': '保存快照(JSON)',
+    'panel.loadSnapshot': '加载快照(JSON)',
+    'panel.share': '复制分享链接',
+    'panel.maxNotes': '上限',
+    'panel.maxNotesHint': '便签数量上限(不含置顶),超出时最旧的淡出,0 为不限',
+    'panel.ttl': '秒',
+    'panel.ttlHint': '便签存活时间(秒),0 为不过期',
+    'panel.rotate': '轮换',
+    'panel.rotateHint': '排满后新便签原位替换最旧的便签',
+
+    // 对齐与分布
+    'align.left': '左对齐',
+    'align.center': '水平居中',
+    'align.top': '顶部对齐',
+    'align.horizontal': '水平等距分布',
+    'align.vertical': '垂直等距分布',
+
+    // 主题
+    'theme.auto': '🖥️ 跟随系统',
+    'theme.light': '☀️ 浅色',
+    'theme.dark': '🌙 深色',
+    'theme.sunset': '🌇 日落',
+    'theme.ocean': '🌊 海洋',
+
+    // 布局
+    'layout.heart': '❤️ 爱心',
+    'layout.circle': '⭕ 圆形',
+    'layout.spiral': '🌀 螺旋',
+    'layout.grid': '▦ 网格',
+    'layout.scatter': '✨ 散点',
+    'layout.wave': '🌊 波浪',
+    'layout.shape': '🔤 文字/图形',
+
+    // 语录源
+    'source.hint': '权重 {weight} · 超时 {timeout}ms · 语言 {language}',
+    'source.anyLanguage': '跟随界面',
+    'source.hitokoto': '一言',
+    'source.jinrishici': '今日诗词',
+    'source.dummyjson': '英文名言',
+    'source.local': '本地',
+    'source.cache': '离线缓存',
+
+    // 网络状态
+    'network.online': '🟢在线',
+    'network.offline': '🔴离线',
+
+    // 同步
+    'sync.tabs': '标签页({name})',
+    'sync.relay': '中继({url})',
+
+    // 生命周期
+    'policy.unlimited': '不限',
+    'policy.on': '开启',
+    'policy.off': '关闭',
+
+    // 列表
+    'list.separator': '、',
+    'list.none': '(无)',
+    'list.all': '全部',
+    'list.semicolon': ';',
+
+    // 撤销历史
+    'history.clear': '清空便签',
+    'history.move': '移动便签',
+    'history.transform': '旋转/缩放便签',
+    'history.front': '移到最前',
+    'history.back': '移到最后',
+    'history.onTop': '总在最上层',
+    'history.offTop': '取消总在最上层',
+    'history.create': '新建便签',
+    'history.edit': '编辑便签',
+    'history.remove': '删除便签',
+
+    // 对话框
+    'dialog.snapshotImportFailed': '导入快照失败: {message}',
+    'dialog.exportFailed': '导出图片失败: {message}',
+    'dialog.clearAll': '确定要清空所有 {count} 个便签吗?',
+    'dialog.copyShareLink': '复制分享链接:',
+    'dialog.deleteTheme': '确定要删除主题「{name}」吗?',
+
+    // 读屏播报
+    'a11y.newNote': '新便签: {text}',
+
+    // 展示模式
+    'kiosk.invalidParam': '参数 {name}={value} 无效,已使用默认值',
+
+    // 文本库
+    'library.uncategorized': '未分类',
+
+    // 性能基准测试
+    'benchmark.title': '便签墙 - 性能基准测试',
+    'benchmark.count': '数量',
+    'benchmark.countTitle': '便签数量',
+    'benchmark.culling': '视口剔除',
+    'benchmark.cullingTitle': '只渲染可见区域附近的便签',
+    'benchmark.run': '开始测试',
+    'benchmark.idle': '点击 ▶ 开始测试',
+    'benchmark.running': '测试中 ({count} 个便签)...',
+    'benchmark.noteText': '便签 #{index}',
+    'benchmark.create': '创建便签',
+    'benchmark.firstFrame': '首帧渲染',
+    'benchmark.placement': '放置查询 ×{count}',
+    'benchmark.rectQuery': '矩形查询 ×{count}',
+    'benchmark.fps': '平均帧率',
+    'benchmark.frameP95': '帧耗时 P95',
+    'benchmark.slowFrames': '超过 33ms 的帧',
+    'benchmark.frames': '帧',
+
+    // 错误信息
+    'error.layoutPosition': '布局 {name} 缺少 position 方法',
+    'error.libraryMessages': '文本库缺少 messages 数组',
+    'error.providerShape': '语录源必须包含 name 和 fetch 方法',
+    'error.jsonProvider': '自定义语录源需要 name、url 和 textField',
+    'error.noIndexedDB': '当前环境不支持 IndexedDB',
+    'error.timeout': '请求超时 ({timeout}ms)',
+    'error.noteExists': '便签已存在: {id}',
+    'error.mountTarget': 'mount() 需要一个 DOM 元素',
+    'error.builtInTheme': '不能修改内置主题',
+    'error.themeFormat': '主题格式不正确',
+    'error.themeName': '请填写主题名称',
+    'error.themeBackground': '背景需要 3 个颜色',
+    'error.themePaletteSize': '便签配色需要 1-{max} 个颜色',
+    'error.themePaletteColor': '便签配色包含无效颜色',
+    'error.snapshotFormat': '不是便签墙快照文件',
+    'error.snapshotVersion': '不支持的快照版本: {version}',
+    'error.snapshotNotes': '快照缺少便签列表',
+    'error.snapshotNoteText': '第 {index} 个便签缺少文字',
+    'error.snapshotNotePosition': '第 {index} 个便签位置无效',
+    'error.snapshotJson': '快照文件不是有效的 JSON',
+    'error.shareDecompress': '当前浏览器不支持解压分享链接',
+    'error.shareUnknown': '无法识别的分享链接',
+    'error.exportTooLarge': '图片过大 ({width}x{height}),浏览器无法生成 PNG,请降低分辨率或导出 SVG',
+
+    // 调试日志
+    'log.appInit': '🚀 初始化便签墙应用...',
+    'log.appReady': '✅ 应用初始化完成!',
+    'log.seed': '🎲 随机种子: {seed}(不恢复也不保存便签)',
+    'log.appDestroyed': '👋 便签墙已卸载',
+    'log.snapshotImportFailed': '❌ 导入快照失败:',
+    'log.panelCollapsed': '📦 控制面板已折叠',
+    'log.panelExpanded': '📂 控制面板已展开',
+    'log.online': '🟢 网络已恢复,重新使用在线语录源',
+    'log.offline': '🔴 网络已断开,使用本地文本和离线缓存',
+    'log.resized': '📐 窗口大小已改变,重新调整便签位置',
+    'log.swRegistered': '📦 Service Worker 已注册 ({network})',
+    'log.swFailed': '⚠️ Service Worker 注册失败:',
+    'log.generationStarted': '▶️ 开始生成便签 (间隔: {interval}ms)',
+    'log.generationPaused': '⏸️ 暂停生成便签',
+    'log.cleared': '🗑️ 已清空所有便签',
+    'log.undo': '↶ 撤销: {label}',
+    'log.redo': '↷ 重做: {label}',
+    'log.fitAll': '🔍 显示全部便签 ({zoom}%)',
+    'log.exportFailed': '❌ 导出图片失败:',
+    'log.theme': '🎨 切换到主题: {name}',
+    'log.themeAuto': '🎨 切换到主题: {name} (跟随系统)',
+    'log.shareCopied': '🔗 分享链接已复制 ({length} 字符)',
+    'log.shareFailed': '❌ 生成分享链接失败:',
+    'log.sourceEnabled': '🔌 语录源 {name} 已启用',
+    'log.sourceDisabled': '🔌 语录源 {name} 已停用',
+    'log.policy': '⌛ 生命周期: 上限 {maxNotes} · 存活 {ttl} · 轮换{rotate}',
+    'log.categories': '🏷️ 本地文本分类: {categories}',
+    'log.repositioned': '🔄 已重新定位 {count} 个便签',
+    'log.urlParams': '🖥️ URL 参数:',
+    'log.fullscreenOn': '🖥️ 已进入全屏',
+    'log.fullscreenOff': '🖥️ 已退出全屏',
+    'log.debugOn': '🐛 调试模式已开启',
+    'log.debugOff': '🔇 调试模式已关闭',
+    'log.fullscreenFailed': '⚠️ 切换全屏失败:',
+    'log.wakeLockFailed': '⚠️ 屏幕常亮请求失败:',
+    'log.libraryFailed': '❌ 加载文本库失败: {library}',
+    'log.noteCreated': '✏️ 新建便签: "{text}..."',
+    'log.noteEdited': '✏️ 编辑便签: "{text}..."',
+    'log.noteDeleted': '🗑️ 已删除便签',
+    'log.policyLoadFailed': '❌ 读取便签生命周期设置失败:',
+    'log.policySaveFailed': '❌ 保存便签生命周期设置失败:',
+    'log.sourcesLoadFailed': '❌ 读取语录源设置失败:',
+    'log.sourcesSaveFailed': '❌ 保存语录源设置失败:',
+    'log.categoriesLoadFailed': '❌ 读取文本分类筛选失败:',
+    'log.categoriesSaveFailed': '❌ 保存文本分类筛选失败:',
+    'log.noteExpired': '⌛ 便签到期淡出: "{text}..."',
+    'log.noteRead': '📖 查看全文: "{text}..."',
+    'log.generatorDebugOn': '🔧 调试模式已开启',
+    'log.generatorDebugOff': '🔧 调试模式已关闭',
+    'log.libraryLoaded': '✅ 加载了 {count} 条本地文本 (分类: {categories})',
+    'log.libraryFallback': '❌ 加载文本库失败,使用内置备用文本',
+    'log.contentLanguage': '🌐 内容语言: {language}',
+    'log.quotesPreloaded': '✅ 预加载了 {count} 条语录',
+    'log.preloadFailed': '⚠️ 预加载语录失败,将使用本地文本',
+    'log.cacheLoaded': '💾 离线缓存中有 {count} 条语录',
+    'log.cacheLoadFailed': '⚠️ 读取离线语录缓存失败:',
+    'log.cacheSaveFailed': '⚠️ 保存语录到离线缓存失败:',
+    'log.sourceConfigFailed': '⚠️ 加载语录源配置失败:',
+    'log.sourceRegistered': '🔌 注册自定义语录源: {name}',
+    'log.unknownSource': '⚠️ 未知语录源: {name}',
+    'log.invalidSourceConfig': '⚠️ 语录源配置无效:',
+    'log.sourceFailed': '{name} 语录源失败:',
+    'log.unknownLayout': '⚠️ 未知布局: {name}',
+    'log.layout': '🧩 切换布局: {name}',
+    'log.shape': '🔤 设置形状({type}): {value}',
+    'log.noteGenerated': '📝 生成便签 #{count} [{network} · {source}]: "{text}..." ({color})',
+    'log.restored': '💾 恢复了 {count} 个便签',
+    'log.pinned': '📌 置顶便签: "{text}..."',
+    'log.unpinned': '📌 取消置顶便签: "{text}..."',
+    'log.onTop': '📍 总在最上层: {count} 个便签',
+    'log.offTop': '📍 取消总在最上层: {count} 个便签',
+    'log.selected': '🔲 已选中 {count} 个便签',
+    'log.arranged': '📏 {label}: {count} 个便签',
+    'log.pathFailed': '⚠️ SVG path 解析失败:',
+    'log.noBroadcastChannel': '⚠️ 浏览器不支持 BroadcastChannel,标签页同步不可用',
+    'log.syncParseFailed': '⚠️ 无法解析同步消息:',
+    'log.relayDisconnected': '⚠️ 中继连接已断开,{seconds} 秒后重连',
+    'log.syncConnected': '🔗 已连接同步: {label}',
+    'log.syncApplyFailed': '⚠️ 应用同步消息失败:',
+    'log.viewportLoadFailed': '⚠️ 读取视口失败:',
+    'log.viewportSaveFailed': '⚠️ 保存视口失败:',
+    'log.storageIncompatible': '⚠️ 已保存的便签墙格式不兼容,已忽略',
+    'log.storageLoadFailed': '❌ 读取便签墙状态失败:',
+    'log.storageSaveFailed': '❌ 保存便签墙状态失败:',
+    'log.exportedPng': '📷 已导出 PNG ({width}x{height})',
+    'log.exportScaleReduced': '📏 便签墙过大,导出分辨率降为 {scale}x',
+    'log.exportedSvg': '📐 已导出 SVG ({count} 个便签)',
+    'log.invalidTheme': '⚠️ 已忽略无效的自定义主题: {message}',
+    'log.themeLoadFailed': '❌ 读取主题设置失败:',
+    'log.themeSaveFailed': '❌ 保存主题设置失败:',
+    'log.snapshotLoaded': '📥 已加载快照: {count} 个便签',
+    'log.shareInvalid': '❌ 分享链接中的快照无效:',
+    'log.locale': '🌐 界面语言: {name}',
+    'log.localeLoadFailed': '❌ 读取语言设置失败:',
+    'log.localeSaveFailed': '❌ 保存语言设置失败:'
+});
@@ -1,16 +1,34 @@
 /**
  * 主程序入口
  * 整合所有模块,实现完整功能
+ * 一个 NoteWallApp 就是一面便签墙: DOM 元素、存储键和文档级监听都属于各自的实例,同一页面可以挂载多面
  */
 
-class NoteWallApp {
-    constructor() {
+class NoteWallApp extends EventTarget {
+    /**
+     * @param {HTMLElement} root - 便签墙容器,界面由 WallTemplate 生成
+     * @param {Object} [options]
+     * @param {boolean} [options.standalone] - 独立页面: 读取 URL 参数和分享链接,注册 Service Worker,主题应用到 body
+     * @param {string} [options.storagePrefix] - localStorage 键的前缀,多面便签墙各自保存
+     * @param {Object} [options.params] - 与展示模式 URL 参数同名的配置(见 KioskMode),嵌入时使用
+     * @param {string} [options.baseUrl] - data/ 目录所在的地址,默认相对当前页面
+     * @param {string} [options.seed] - 随机种子,优先于 seed 参数(见 initSeed)
+     */
+    constructor(root, options = {}) {
+        super();
+        this.root = root;
+        this.options = options;
+        this.standalone = Boolean(options.standalone);
+        this.storagePrefix = options.storagePrefix || '';
+        this.abortController = new AbortController(); // destroy 时移除窗口和文档上的监听
         this.generator = null;
         this.dragHandler = null;
         this.isGenerating = false;
         this.generationInterval = null;
         this.generationSpeed = 2000; // 默认2秒生成一个
         this.debugMode = false; // 调试模式开关
+        this.hasFocus = true; // 最近一次点击或聚焦是否在这面墙内(快捷键只作用于这面墙)
+        this.seed = null; // 当前随机种子
     }
 
     /**
@@ -22,45 +40,357 @@ class NoteWallApp {
         }
     }
 
+    /**
+     * 本便签墙使用的 localStorage 键
+     */
+    storageKey(name) {
+        return `${this.storagePrefix}${name}`;
+    }
+
+    /**
+     * 按 data-ref 查找便签墙内的元素
+     */
+    ref(name) {
+        return WallTemplate.ref(this.root, name);
+    }
+
     /**
      * 初始化应用
      */
     async init() {
-        this.log('🚀 初始化便签墙应用...');
-
-        // 获取DOM元素
-        this.canvas = document.getElementById('noteCanvas');
-        this.toggleBtn = document.getElementById('toggleBtn');
-        this.clearBtn = document.getElementById('clearBtn');
-        this.speedSlider = document.getElementById('speedSlider');
-        this.speedValue = document.getElementById('speedValue');
-        this.noteCountEl = document.getElementById('noteCount');
-        this.themeToggle = document.getElementById('themeToggle');
-        this.debugBtn = document.getElementById('debugBtn');
+        this.log(i18n.t('log.appInit'));
+        const signal = this.abortController.signal;
+
+        // 生成界面并获取DOM元素
+        WallTemplate.render(this.root);
+        this.root.classList.toggle('note-wall-embedded', !this.standalone);
+        this.translatePage();
+        this.canvas = this.ref('noteCanvas');
+        this.announcer = this.ref('announcer');
+        const keyboardHelp = this.ref('keyboardHelp');
+        keyboardHelp.id = `note-wall-help-${Math.random().toString(36).slice(2)}`; // 同一页面可以有多面便签墙
+        this.canvas.setAttribute('aria-describedby', keyboardHelp.id);
+        this.toggleBtn = this.ref('toggleBtn');
+        this.clearBtn = this.ref('clearBtn');
+        this.speedSlider = this.ref('speedSlider');
+        this.speedValue = this.ref('speedValue');
+        this.noteCountEl = this.ref('noteCount');
+        this.themeToggle = this.ref('themeToggle');
+        this.themeSelect = this.ref('themeSelect');
+        this.themeEditBtn = this.ref('themeEditBtn');
+        this.debugBtn = this.ref('debugBtn');
+        this.undoBtn = this.ref('undoBtn');
+        this.redoBtn = this.ref('redoBtn');
+        this.layoutSelect = this.ref('layoutSelect');
+        this.localeSelect = this.ref('localeSelect');
+        this.shapeRow = this.ref('shapeRow');
+        this.shapeInput = this.ref('shapeInput');
+        this.shapeApplyBtn = this.ref('shapeApplyBtn');
+        this.exportFormat = this.ref('exportFormat');
+        this.exportBackground = this.ref('exportBackground');
+        this.exportBtn = this.ref('exportBtn');
+        this.saveSnapshotBtn = this.ref('saveSnapshotBtn');
+        this.loadSnapshotBtn = this.ref('loadSnapshotBtn');
+        this.snapshotFileInput = this.ref('snapshotFileInput');
+        this.shareBtn = this.ref('shareBtn');
+        this.sourceList = this.ref('sourceList');
+        this.categoryList = this.ref('categoryList');
+        this.alignRow = this.ref('alignRow');
+        this.zoomOutBtn = this.ref('zoomOutBtn');
+        this.zoomInBtn = this.ref('zoomInBtn');
+        this.zoomResetBtn = this.ref('zoomResetBtn');
+        this.fitBtn = this.ref('fitBtn');
+        this.minimapCanvas = this.ref('minimap');
+        this.maxNotesInput = this.ref('maxNotesInput');
+        this.ttlInput = this.ref('ttlInput');
+        this.rotateCheck = this.ref('rotateCheck');
+        this.fullscreenBtn = this.ref('fullscreenBtn');
+        this.kioskWarning = this.ref('kioskWarning');
+        this.seedBadge = this.ref('seedBadge');
+
+        // URL 参数(展示模式)或嵌入时的 params 选项,在恢复保存的设置之后应用
+        this.kiosk = new KioskMode(this.standalone ? location.search : (this.options.params || {}),
+            this.standalone ? document.documentElement : this.root);
+        const rng = this.initSeed();
 
         // 初始化调试模式(从 localStorage 读取)
-        const savedDebugMode = localStorage.getItem('debugMode') === 'true';
+        const savedDebugMode = localStorage.getItem(this.storageKey('debugMode')) === 'true';
         this.setDebugMode(savedDebugMode);
 
-        // 初始化生成器和拖拽处理器
-        this.generator = new NoteGenerator();
+        // 主题(生成器按当前主题的配色取色,需先初始化)
+        this.themes = new ThemeManager({
+            root: this.standalone ? document.body : this.root,
+            storageKey: this.storageKey('wallTheme'),
+            onChange: (theme) => this.onThemeChange(theme)
+        });
+        this.themes.init(signal);
+        this.themeEditor = new ThemeEditor(this.themes, this.ref('themeEditor'));
+
+        // 初始化视口、生成器和拖拽处理器
+        this.viewport = new WallViewport(this.canvas, {
+            storageKey: this.storageKey('wallViewport'),
+            onChange: () => this.updateViewportInfo()
+        });
+        this.generator = new NoteGenerator({
+            storage: rng ? null : new WallStorage(this.storageKey('noteWallState')),
+            quoteStore: new QuoteStore(),
+            themes: this.themes,
+            viewport: this.viewport,
+            baseUrl: this.options.baseUrl,
+            events: this,
+            rng,
+            onChange: () => this.onNotesChange()
+        });
+        this.generator.setLanguage(i18n.locale); // 在预加载语录之前确定内容语言
         await this.generator.init(this.canvas);
         this.generator.setDebugMode(this.debugMode);
-        this.dragHandler = new DragHandler(this.generator);
+        this.minimap = new WallMinimap(this.minimapCanvas, this.viewport, this.generator, { signal });
+        this.culler = new NoteCuller(this.generator, this.viewport);
+        this.lifecycle = new NoteLifecycle(this.generator, {
+            storageKey: this.storageKey('notePolicy'),
+            onRemove: () => this.updateCount()
+        });
+        this.history = new CommandHistory(100, () => this.updateHistoryButtons());
+        this.selection = new SelectionManager(this.generator, {
+            onChange: (count) => this.updateAlignRow(count),
+            onMove: (moves, label) => this.recordMove(moves, label)
+        });
+        this.dragHandler = new DragHandler(this.generator, {
+            selection: this.selection,
+            onDragEnd: (moves, label) => this.recordMove(moves, label)
+        });
+        this.noteReader = new NoteReader(this.generator, this.ref('noteReader'));
+        this.noteMenu = new NoteMenu(this.generator, this.ref('noteMenu'), {
+            selection: this.selection,
+            onAction: (action, ids) => this.arrangeNotes(action, ids)
+        });
+        this.noteKeyboard = new NoteKeyboard(this.generator, {
+            selection: this.selection,
+            onMove: (moves, label) => this.recordMove(moves, label),
+            onDelete: (note) => this.noteEditor.deleteNote(note),
+            onEdit: (note) => this.noteEditor.editNote(note),
+            onMenu: (note) => {
+                const rect = note.getBoundingClientRect();
+                this.noteMenu.open(note, rect.left + rect.width / 2, rect.top + rect.height / 2);
+            },
+            onReveal: (noteInfo) => this.revealNote(noteInfo)
+        });
+        this.exporter = new WallExporter(this.generator);
+        this.snapshot = new WallSnapshot(this);
+        this.noteEditor = new NoteEditor(this.generator, {
+            onCreate: (note) => this.attachNewNote(note),
+            onEdit: (note, change) => this.recordEdit(note.dataset.id, change),
+            onRemove: (note, removed) => {
+                this.updateCount();
+                if (removed) {
+                    this.recordRemoval(removed);
+                }
+            }
+        });
+
+        // 恢复上次保存的便签墙
+        this.restoreWall();
+        this.initSourceToggles();
+        this.initCategoryFilter();
+        this.initPolicyInputs();
+
+        // 分享链接中带有快照时,以快照替换当前便签墙(只在独立页面中)
+        if (this.standalone) {
+            await this.snapshot.loadFromHash();
+        }
+
+        // URL 参数优先于保存的设置
+        const kioskConfig = this.applyKioskConfig(this.kiosk.parse(this));
+        this.generator.preload(); // 保存的语录源开关和 sources 参数生效后再预加载,不请求已停用的语录源
+        this.initLayoutSelect();
+        this.initLocaleSelect();
+        this.initSync(kioskConfig);
 
         // 绑定事件
         this.bindEvents();
+        this.updateHistoryButtons();
+        this.updateViewportInfo();
+
+        // 注册 Service Worker,支持离线打开
+        if (this.standalone) {
+            this.registerServiceWorker();
+        }
+
+        // 自动开始生成(autostart=0 时不开始)
+        if (kioskConfig.autoStart !== false) {
+            this.startGeneration();
+        }
+
+        this.log(i18n.t('log.appReady'));
+    }
 
-        // 自动开始生成
+    /**
+     * 读取随机种子(mount 的 seed 选项或 seed 参数)
+     * 设置了种子时便签墙不恢复也不保存便签,同一种子、同一本地文本库和同样的窗口大小总是生成相同的便签墙
+     * @returns {SeededRandom|null}
+     */
+    initSeed() {
+        const seed = this.options.seed ?? this.kiosk.readSeed();
+        if (seed === undefined || seed === null || seed === '') return null;
+
+        this.seed = String(seed);
+        this.seedBadge.textContent = `🎲 ${this.seed}`;
+        this.seedBadge.hidden = !this.debugMode;
+        this.log(i18n.t('log.seed', { seed: this.seed }));
+        return new SeededRandom(this.seed);
+    }
+
+    /**
+     * 与其他标签页(channel 参数)或其他设备(relay 参数)同步便签
+     */
+    initSync(config) {
+        if (!config.channel && !config.relay) return;
+
+        this.sync = new WallSync(this.generator, {
+            events: this,
+            onAdd: (note) => this.attachNote(note),
+            onRemove: () => this.updateCount()
+        });
+        this.sync.bind(this.abortController.signal);
+
+        if (config.channel) {
+            this.sync.addTransport(new BroadcastTransport(config.channel));
+        }
+        if (config.relay) {
+            this.sync.addTransport(new SocketTransport(config.relay));
+        }
+    }
+
+    /**
+     * 卸载便签墙: 停止生成和定时器,移除窗口和文档上的监听,清空容器(保存的状态保留)
+     */
+    destroy() {
+        this.stopGeneration();
+        this.lifecycle.stop();
+        this.kiosk.releaseWakeLock();
+        if (this.sync) {
+            this.sync.close();
+        }
+        clearTimeout(this.relayoutTimeout);
+        clearTimeout(this.resizeTimeout);
+        this.abortController.abort();
+
+        if (this.generator.saveScheduled) {
+            this.generator.writeState();
+        }
+        this.viewport.flushSave();
+        this.root.innerHTML = '';
+        this.root.classList.remove('note-wall', 'note-wall-embedded', 'kiosk-mode', 'dark-theme');
+        if (!this.standalone) {
+            ['--bg-gradient-1', '--bg-gradient-2', '--bg-gradient-3'].forEach(name => this.root.style.removeProperty(name));
+        }
+        this.log(i18n.t('log.appDestroyed'));
+    }
+
+    /**
+     * 暂停自动生成
+     */
+    pause() {
+        this.stopGeneration();
+    }
+
+    /**
+     * 继续自动生成
+     */
+    resume() {
         this.startGeneration();
+    }
 
-        this.log('✅ 应用初始化完成!');
+    /**
+     * 添加一个便签(与手写便签相同,可撤销),同样受数量上限(params.max)约束
+     * @param {string} text - 便签文字
+     * @param {Object} [options] - { x, y: 中心点世界坐标,默认为可见区域中心; color; pinned }
+     * @returns {Object} 便签记录
+     */
+    addNote(text, options = {}) {
+        const visible = this.viewport.getVisibleRect();
+        const note = this.generator.createUserNote(
+            text,
+            options.x ?? visible.x + visible.width / 2,
+            options.y ?? visible.y + visible.height / 2,
+            { color: options.color, pinned: options.pinned }
+        );
+        this.attachNewNote(note);
+        this.recordEdit(note.dataset.id, { isNew: true });
+
+        return this.generator.toRecord(this.generator.getNoteInfo(note));
+    }
+
+    /**
+     * 按ID删除便签(可撤销)
+     * @returns {boolean} 便签是否存在
+     */
+    removeNote(id) {
+        const noteInfo = this.generator.findNote(id);
+        if (!noteInfo) return false;
+
+        this.noteEditor.deleteNote(this.generator.getElement(id));
+        return true;
+    }
+
+    /**
+     * 所有便签的记录(按层叠顺序)
+     */
+    getNotes() {
+        return this.generator.notes.map(note => this.generator.toRecord(note));
     }
 
     /**
      * 绑定所有事件
      */
     bindEvents() {
+        const signal = this.abortController.signal;
+
+        // 双击新建/编辑便签,删除按钮
+        this.noteEditor.bind(this.canvas);
+
+        // 查看被截断便签的全文
+        this.noteReader.bind(this.canvas, signal);
+
+        // 右键菜单: 调整层叠顺序
+        this.noteMenu.bind(this.canvas, signal);
+
+        // 键盘操作便签,新便签通过读屏播报
+        this.noteKeyboard.bind(this.canvas);
+        this.addEventListener('notecreated', (e) => this.announceNote(e.detail.note));
+
+        // 拖拽、悬浮效果和框选(事件委托在画布上)
+        this.dragHandler.bind(this.canvas, signal);
+        this.bindHoverEffect();
+        this.selection.bind(this.canvas, signal);
+
+        // 缩放/平移
+        this.viewport.bind(signal);
+        this.zoomOutBtn.addEventListener('click', () => {
+            this.viewport.zoomBy(1 / 1.25);
+        });
+        this.zoomInBtn.addEventListener('click', () => {
+            this.viewport.zoomBy(1.25);
+        });
+        this.zoomResetBtn.addEventListener('click', () => {
+            this.viewport.reset();
+        });
+        this.fitBtn.addEventListener('click', () => {
+            this.fitAll();
+        });
+
+        // 对齐/分布选中的便签
+        this.alignRow.addEventListener('click', (e) => {
+            const btn = e.target.closest('button');
+            if (!btn) return;
+
+            if (btn.dataset.align) {
+                this.selection.align(btn.dataset.align);
+            } else if (btn.dataset.distribute) {
+                this.selection.distribute(btn.dataset.distribute);
+            }
+        });
+
         // 开始/暂停按钮
         this.toggleBtn.addEventListener('click', () => {
             if (this.isGenerating) {
@@ -75,30 +405,105 @@ class NoteWallApp {
             this.clearAllNotes();
         });
 
+        // 撤销/重做
+        this.undoBtn.addEventListener('click', () => {
+            this.undo();
+        });
+        this.redoBtn.addEventListener('click', () => {
+            this.redo();
+        });
+        document.addEventListener('keydown', (e) => {
+            this.handleHistoryShortcut(e);
+        }, { signal });
+
+        // 页面上有多面便签墙时,快捷键只作用于最近点击或用键盘进入的那一面
+        ['pointerdown', 'focusin'].forEach(type => {
+            document.addEventListener(type, (e) => {
+                this.hasFocus = this.root.contains(e.target);
+            }, { signal, capture: true });
+        });
+
         // 速度滑块
         this.speedSlider.addEventListener('input', (e) => {
-            this.generationSpeed = parseInt(e.target.value);
-            this.speedValue.textContent = `${(this.generationSpeed / 1000).toFixed(1)}s`;
+            this.setSpeed(parseInt(e.target.value));
+        });
 
-            // 如果正在生成,重启定时器以应用新速度
-            if (this.isGenerating) {
-                // 先清除旧定时器
-                if (this.generationInterval) {
-                    clearInterval(this.generationInterval);
-                    this.generationInterval = null;
-                }
+        // 便签数量上限、存活时间和轮换模式
+        [this.maxNotesInput, this.ttlInput, this.rotateCheck].forEach(input => {
+            input.addEventListener('change', () => {
+                this.updatePolicy();
+            });
+        });
+
+        // 布局切换
+        this.layoutSelect.addEventListener('change', (e) => {
+            this.setLayout(e.target.value);
+        });
+
+        // 界面语言(页面上的所有便签墙共用,每面墙各自重新翻译)
+        this.localeSelect.addEventListener('change', (e) => {
+            i18n.setPreference(e.target.value);
+        });
+        i18n.addEventListener('change', () => this.applyLocale(), { signal });
+
+        // 文字/图形布局的形状
+        this.shapeApplyBtn.addEventListener('click', () => {
+            this.applyShape();
+        });
+        this.shapeInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.applyShape();
+            }
+        });
 
-                // 重新启动定时器(不立即生成,避免突然出现多个便签)
-                this.generationInterval = setInterval(() => {
-                    this.generateOne();
-                }, this.generationSpeed);
+        // 导出图片
+        this.exportBtn.addEventListener('click', () => {
+            this.exportImage();
+        });
+
+        // 快照导出/导入/分享
+        this.saveSnapshotBtn.addEventListener('click', () => {
+            this.snapshot.exportFile();
+        });
+        this.loadSnapshotBtn.addEventListener('click', () => {
+            this.snapshotFileInput.click();
+        });
+        this.snapshotFileInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = ''; // 允许重复选择同一文件
+            if (!file) return;
+
+            try {
+                await this.snapshot.importFile(file);
+            } catch (error) {
+                console.error(i18n.t('log.snapshotImportFailed'), error);
+                alert(i18n.t('dialog.snapshotImportFailed', { message: error.message }));
             }
         });
+        this.shareBtn.addEventListener('click', () => {
+            this.shareWall();
+        });
 
-        // 主题切换
+        // 主题切换与编辑
         this.themeToggle.addEventListener('click', () => {
             this.toggleTheme();
         });
+        this.themeSelect.addEventListener('change', (e) => {
+            this.setTheme(e.target.value);
+        });
+        this.themeEditBtn.addEventListener('click', () => {
+            this.themeEditor.open(this.themes.active);
+        });
+        this.themeEditor.bind(signal);
+
+        // 全屏(全屏时保持屏幕常亮)
+        this.fullscreenBtn.addEventListener('click', () => {
+            this.kiosk.toggleFullscreen();
+        });
+        document.addEventListener('fullscreenchange', () => {
+            this.onFullscreenChange();
+        }, { signal });
+        this.kiosk.bind(signal);
 
         // 调试模式切换
         this.debugBtn.addEventListener('click', () => {
@@ -106,24 +511,69 @@ class NoteWallApp {
         });
 
         // 折叠/展开面板
-        const togglePanelBtn = document.getElementById('togglePanelBtn');
-        const controlPanel = document.getElementById('controlPanel');
+        const togglePanelBtn = this.ref('togglePanelBtn');
+        const controlPanel = this.ref('controlPanel');
 
         togglePanelBtn.addEventListener('click', () => {
             controlPanel.classList.toggle('collapsed');
-            this.log(controlPanel.classList.contains('collapsed') ? '📦 控制面板已折叠' : '📂 控制面板已展开');
+            togglePanelBtn.setAttribute('aria-expanded', String(!controlPanel.classList.contains('collapsed')));
+            this.log(i18n.t(controlPanel.classList.contains('collapsed') ? 'log.panelCollapsed' : 'log.panelExpanded'));
         });
 
+        // 网络状态变化
+        window.addEventListener('online', () => {
+            this.log(i18n.t('log.online'));
+        }, { signal });
+        window.addEventListener('offline', () => {
+            this.log(i18n.t('log.offline'));
+        }, { signal });
+
         // 窗口大小变化时的处理
-        let resizeTimeout;
         window.addEventListener('resize', () => {
             // 防抖:窗口停止调整500ms后才重新布局
-            clearTimeout(resizeTimeout);
-            resizeTimeout = setTimeout(() => {
-                this.log('📐 窗口大小已改变,重新调整便签位置');
+            clearTimeout(this.resizeTimeout);
+            this.resizeTimeout = setTimeout(() => {
+                this.log(i18n.t('log.resized'));
                 this.repositionNotes();
             }, 500);
-        });
+        }, { signal });
+    }
+
+    /**
+     * 设置生成速度
+     */
+    setSpeed(speed) {
+        this.generationSpeed = speed;
+        this.speedSlider.value = speed;
+        this.speedValue.textContent = `${(this.generationSpeed / 1000).toFixed(1)}s`;
+
+        // 如果正在生成,重启定时器以应用新速度
+        if (this.isGenerating) {
+            // 先清除旧定时器
+            if (this.generationInterval) {
+                clearInterval(this.generationInterval);
+                this.generationInterval = null;
+            }
+
+            // 重新启动定时器(不立即生成,避免突然出现多个便签)
+            this.generationInterval = setInterval(() => {
+                this.generateOne();
+            }, this.generationSpeed);
+        }
+    }
+
+    /**
+     * 注册 Service Worker(需通过 http(s) 访问,直接打开文件时跳过)
+     */
+    async registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+
+        try {
+            await navigator.serviceWorker.register('sw.js');
+            this.log(i18n.t('log.swRegistered', { network: this.generator.getNetworkBadge() }));
+        } catch (error) {
+            console.warn(i18n.t('log.swFailed'), error);
+        }
     }
 
     /**
@@ -133,7 +583,10 @@ class NoteWallApp {
         if (this.isGenerating) return;
 
         this.isGenerating = true;
-        this.toggleBtn.innerHTML = '<span class="icon">⏸</span>';
+        this.toggleBtn.innerHTML = '<span class="icon" aria-hidden="true">⏸</span>';
+        this.toggleBtn.dataset.i18nTitle = 'panel.pause'; // 切换语言时按当前状态重新翻译
+        this.toggleBtn.title = i18n.t('panel.pause');
+        this.toggleBtn.setAttribute('aria-label', this.toggleBtn.title);
         this.toggleBtn.classList.remove('primary');
         this.toggleBtn.classList.add('secondary');
 
@@ -145,7 +598,7 @@ class NoteWallApp {
             this.generateOne();
         }, this.generationSpeed);
 
-        this.log(`▶️ 开始生成便签 (间隔: ${this.generationSpeed}ms)`);
+        this.log(i18n.t('log.generationStarted', { interval: this.generationSpeed }));
     }
 
     /**
@@ -155,7 +608,10 @@ class NoteWallApp {
         if (!this.isGenerating) return;
 
         this.isGenerating = false;
-        this.toggleBtn.innerHTML = '<span class="icon">▶</span>';
+        this.toggleBtn.innerHTML = '<span class="icon" aria-hidden="true">▶</span>';
+        this.toggleBtn.dataset.i18nTitle = 'panel.start'; // 切换语言时按当前状态重新翻译
+        this.toggleBtn.title = i18n.t('panel.start');
+        this.toggleBtn.setAttribute('aria-label', this.toggleBtn.title);
         this.toggleBtn.classList.remove('secondary');
         this.toggleBtn.classList.add('primary');
 
@@ -164,30 +620,91 @@ class NoteWallApp {
             this.generationInterval = null;
         }
 
-        this.log('⏸️ 暂停生成便签');
+        this.log(i18n.t('log.generationPaused'));
     }
 
     /**
-     * 生成一个便签
+     * 生成一个便签(有便签获得焦点时跳过)
+     * 轮换模式下排满后放在被替换的旧便签的位置,随后按数量上限淘汰最旧的便签
      */
     async generateOne() {
-        const note = await this.generator.generateNote();
+        // 便签获得焦点(键盘操作、编辑)时暂停生成,避免新便签和淘汰打断操作
+        if (this.root.contains(document.activeElement) && document.activeElement.closest('.note')) return;
+
+        const slot = this.lifecycle.takeRotationSlot();
+        const note = await this.generator.generateNote(slot);
+        this.attachNewNote(note);
+    }
 
-        // 为便签添加拖拽功能
-        this.dragHandler.enableDrag(note);
+    /**
+     * 新建的便签(自动生成、手写、嵌入 API)按数量上限淘汰最旧的便签后绑定交互
+     * 撤销、快照和同步恢复的便签不触发淘汰,直接使用 attachNote
+     */
+    attachNewNote(note) {
+        this.lifecycle.enforce();
+        this.attachNote(note);
+    }
+
+    /**
+     * 为便签绑定交互并刷新计数
+     */
+    attachNote(note) {
+        // 交给视口剔除管理
+        this.culler.add(note);
 
         // 更新计数显示
         this.updateCount();
+    }
 
-        // 添加3D悬浮效果
-        this.add3DEffect(note);
+    /**
+     * 恢复保存的便签墙
+     */
+    restoreWall() {
+        const notes = this.generator.restoreNotes();
+        notes.forEach(note => this.attachNote(note));
+        this.updateCount();
     }
 
     /**
-     * 添加3D悬浮效果
+     * 通过读屏播报新便签(aria-live 区域,不打断当前朗读)
      */
-    add3DEffect(noteElement) {
-        noteElement.addEventListener('mousemove', (e) => {
+    announceNote(note) {
+        if (!note.text) return; // 手写便签在保存文字后才播报
+
+        this.announcer.textContent = i18n.t('a11y.newNote', { text: NoteStore.displayText(note) });
+    }
+
+    /**
+     * 把便签移到可见区域中心并立即取消剔除(键盘切换到视口外的便签时)
+     */
+    revealNote(noteInfo) {
+        const bounds = this.generator.getNoteBounds(noteInfo);
+        this.viewport.centerOn(bounds.x + bounds.width / 2, bounds.y + bounds.height / 2);
+        this.culler.update();
+    }
+
+    /**
+     * 3D悬浮效果(在画布上委托,同一时刻只有鼠标下的便签倾斜;系统设置减少动态效果时不倾斜)
+     */
+    bindHoverEffect() {
+        let hovered = null;
+        const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+        const reset = () => {
+            if (hovered) {
+                hovered.style.transform = '';
+                hovered = null;
+            }
+        };
+
+        this.canvas.addEventListener('mousemove', (e) => {
+            const noteElement = e.target.closest('.note');
+            if (noteElement !== hovered) {
+                reset();
+            }
+            if (!noteElement || reducedMotion.matches) return;
+
+            hovered = noteElement;
             const rect = noteElement.getBoundingClientRect();
             const x = e.clientX - rect.left;
             const y = e.clientY - rect.top;
@@ -207,9 +724,7 @@ class NoteWallApp {
             `;
         });
 
-        noteElement.addEventListener('mouseleave', () => {
-            noteElement.style.transform = '';
-        });
+        this.canvas.addEventListener('mouseleave', reset);
     }
 
     /**
@@ -218,62 +733,748 @@ class NoteWallApp {
     clearAllNotes() {
         // 添加确认
         if (this.generator.getCount() > 0) {
-            const confirmed = confirm(`确定要清空所有 ${this.generator.getCount()} 个便签吗?`);
+            const confirmed = confirm(i18n.t('dialog.clearAll', { count: this.generator.getCount() }));
             if (!confirmed) return;
         }
 
+        const records = this.generator.notes.map(note => this.generator.toRecord(note));
+
+        this.selection.clear();
         this.generator.clearAll();
         this.updateCount();
-        this.log('🗑️ 已清空所有便签');
+        this.log(i18n.t('log.cleared'));
+
+        if (records.length > 0) {
+            this.history.push({
+                label: i18n.t('history.clear'),
+                undo: () => records.forEach(record => this.restoreNoteRecord(record)),
+                redo: () => {
+                    this.generator.clearAll();
+                    this.updateCount();
+                }
+            });
+        }
+    }
+
+    /**
+     * 恢复一条便签记录并绑定交互(撤销、重做)
+     * 存活时间从恢复时重新计算,否则设置了存活时间时恢复的便签会立即过期
+     */
+    restoreNoteRecord(record, at) {
+        if (this.generator.findNote(record.id)) return; // 已由同步恢复
+
+        const note = this.generator.addNote({ ...record, createdAt: Date.now() }, at);
+        this.attachNote(note);
+    }
+
+    /**
+     * 按ID删除便签
+     */
+    removeNoteById(id) {
+        const element = this.generator.getElement(id);
+        if (element) {
+            this.generator.removeNote(element);
+            this.updateCount();
+        }
+    }
+
+    /**
+     * 记录移动(拖拽、对齐、分布),一组便签作为一次操作
+     * @param {Array} moves - [{ id, from: {x, y}, to: {x, y} }]
+     */
+    recordMove(moves, label = i18n.t('history.move')) {
+        this.history.push({
+            label,
+            undo: () => this.generator.moveNotes(moves.map(({ id, from }) => ({ id, ...from }))),
+            redo: () => this.generator.moveNotes(moves.map(({ id, to }) => ({ id, ...to })))
+        });
+    }
+
+    /**
+     * 调整便签的层叠顺序(右键菜单),作为一次操作记录
+     * @param {string} action - front 移到最前 / back 移到最后 / on-top 切换总在最上层
+     */
+    arrangeNotes(action, ids) {
+        const layers = () => ids.map(id => this.generator.findNote(id)).filter(Boolean)
+            .map(({ id, z, alwaysOnTop }) => ({ id, z, alwaysOnTop }));
+        const before = layers();
+
+        let label;
+        if (action === 'front') {
+            label = i18n.t('history.front');
+            this.generator.bringToFront(ids);
+        } else if (action === 'back') {
+            label = i18n.t('history.back');
+            this.generator.sendToBack(ids);
+        } else if (action === 'on-top') {
+            const alwaysOnTop = !NoteMenu.allOnTop(this.generator, ids);
+            label = i18n.t(alwaysOnTop ? 'history.onTop' : 'history.offTop');
+            this.generator.setAlwaysOnTop(ids, alwaysOnTop);
+        } else {
+            return;
+        }
+
+        const after = layers();
+        if (after.every((layer, i) => layer.z === before[i].z && layer.alwaysOnTop === before[i].alwaysOnTop)) return;
+
+        this.history.push({
+            label,
+            undo: () => this.generator.setNoteLayers(before),
+            redo: () => this.generator.setNoteLayers(after)
+        });
+    }
+
+    /**
+     * 记录新建或编辑便签文字
+     */
+    recordEdit(id, { isNew, previousText, text }) {
+        if (isNew) {
+            const record = this.generator.toRecord(this.generator.findNote(id));
+            const at = this.generator.store.indexOf(id);
+
+            this.history.push({
+                label: i18n.t('history.create'),
+                undo: () => this.removeNoteById(id),
+                redo: () => this.restoreNoteRecord(record, at)
+            });
+            return;
+        }
+
+        if (previousText === text) return;
+
+        const setText = (value) => {
+            const element = this.generator.getElement(id);
+            if (element) {
+                this.generator.updateNoteText(element, value);
+            }
+        };
+
+        this.history.push({
+            label: i18n.t('history.edit'),
+            undo: () => setText(previousText),
+            redo: () => setText(text)
+        });
+    }
+
+    /**
+     * 记录删除便签
+     */
+    recordRemoval({ record, at }) {
+        this.history.push({
+            label: i18n.t('history.remove'),
+            undo: () => this.restoreNoteRecord(record, at),
+            redo: () => this.removeNoteById(record.id)
+        });
+    }
+
+    /**
+     * 撤销
+     */
+    undo() {
+        const command = this.history.undo();
+        if (command) {
+            this.log(i18n.t('log.undo', { label: command.label }));
+        }
+    }
+
+    /**
+     * 重做
+     */
+    redo() {
+        const command = this.history.redo();
+        if (command) {
+            this.log(i18n.t('log.redo', { label: command.label }));
+        }
+    }
+
+    /**
+     * 快捷键: Ctrl+Z 撤销,Ctrl+Shift+Z / Ctrl+Y 重做(输入文字时不拦截)
+     */
+    handleHistoryShortcut(e) {
+        if (!(e.ctrlKey || e.metaKey) || !this.hasFocus) return;
+
+        const target = e.target;
+        if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            this.undo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            this.redo();
+        }
+    }
+
+    /**
+     * 根据历史状态启用/禁用撤销重做按钮
+     */
+    updateHistoryButtons() {
+        this.undoBtn.disabled = !this.history.canUndo();
+        this.redoBtn.disabled = !this.history.canRedo();
+    }
+
+    /**
+     * 缩放并平移,显示全部便签(按旋转、缩放后的外接矩形计算)
+     */
+    fitAll() {
+        this.viewport.fitAll(this.generator.notes.map(note => this.generator.getNoteBounds(note)));
+        this.log(i18n.t('log.fitAll', { zoom: Math.round(this.viewport.zoom * 100) }));
+    }
+
+    /**
+     * 刷新缩放比例和小地图
+     */
+    updateViewportInfo() {
+        this.zoomResetBtn.textContent = `${Math.round(this.viewport.zoom * 100)}%`;
+        this.minimap.invalidate();
+        this.culler.invalidate();
+    }
+
+    /**
+     * 便签增删或移动后刷新小地图和视口剔除
+     */
+    onNotesChange() {
+        if (!this.minimap) return;
+
+        this.minimap.invalidate();
+        this.culler.invalidate();
+        if (this.noteKeyboard) {
+            this.noteKeyboard.sync();
+        }
+    }
+
+    /**
+     * 选中两个以上便签时显示对齐工具
+     */
+    updateAlignRow(count) {
+        this.alignRow.hidden = count < 2;
     }
 
     /**
-     * 更新便签计数显示
+     * 更新便签计数显示(正在淡出的便签已被淘汰,不计入)
      */
     updateCount() {
-        const count = this.generator.getCount();
+        const count = this.lifecycle.getActiveCount();
         this.noteCountEl.textContent = count;
     }
 
     /**
-     * 切换主题
+     * 按所选格式导出便签墙图片
+     */
+    async exportImage() {
+        const [format, scale] = this.exportFormat.value.split('@');
+        const includeBackground = this.exportBackground.checked;
+
+        try {
+            if (format === 'svg') {
+                this.exporter.exportSVG({ includeBackground });
+            } else {
+                await this.exporter.exportPNG({ scale: parseFloat(scale) || 1, includeBackground });
+            }
+        } catch (error) {
+            console.error(i18n.t('log.exportFailed'), error);
+            alert(i18n.t('dialog.exportFailed', { message: error.message }));
+        }
+    }
+
+    /**
+     * 获取当前生效的主题 id
+     */
+    getTheme() {
+        return this.themes.active.id;
+    }
+
+    /**
+     * 设置主题偏好('auto' 跟随系统,或主题 id),偏好会被保存
+     */
+    setTheme(preference) {
+        this.themes.setPreference(preference);
+    }
+
+    /**
+     * 在浅色和深色主题之间切换
      */
     toggleTheme() {
-        const body = document.body;
-        const icon = this.themeToggle.querySelector('.icon');
+        this.setTheme(this.themes.active.dark ? 'light' : 'dark');
+    }
 
-        if (body.classList.contains('dark-theme')) {
-            body.classList.remove('dark-theme');
-            icon.textContent = '🌙';
-            this.log('☀️ 切换到浅色主题');
-        } else {
-            body.classList.add('dark-theme');
-            icon.textContent = '☀️';
-            this.log('🌙 切换到深色主题');
+    /**
+     * 主题生效后刷新切换按钮、主题下拉框和小地图
+     */
+    onThemeChange(theme) {
+        this.themeToggle.querySelector('.icon').textContent = theme.dark ? '☀️' : '🌙';
+        this.initThemeSelect();
+        if (this.minimap) {
+            this.minimap.invalidate();
+        }
+        this.log(i18n.t(this.themes.preference === 'auto' ? 'log.themeAuto' : 'log.theme', { name: i18n.t(theme.name) }));
+    }
+
+    /**
+     * 根据主题列表填充主题下拉框(包括自定义主题)
+     */
+    initThemeSelect() {
+        this.themeSelect.innerHTML = '';
+
+        const auto = document.createElement('option');
+        auto.value = 'auto';
+        auto.textContent = i18n.t('theme.auto');
+        this.themeSelect.appendChild(auto);
+
+        this.themes.list().forEach(theme => {
+            const option = document.createElement('option');
+            option.value = theme.id;
+            option.textContent = i18n.t(theme.name); // 内置主题的名称为文案键
+            this.themeSelect.appendChild(option);
+        });
+        this.themeSelect.value = this.themes.preference;
+    }
+
+    /**
+     * 加载已校验的快照,替换当前便签墙
+     * 便签与自动生成的便签走同一条创建路径(addNote + attachNote),不按数量上限淘汰,存活时间从加载时重新计算
+     * 之前的操作历史针对被替换的便签,加载后清空
+     */
+    loadSnapshot(snapshot) {
+        this.history.clear();
+        this.selection.clear();
+        this.generator.clearAll();
+        this.generator.setLayout(snapshot.layout);
+        if (snapshot.shape) {
+            this.generator.setShape(snapshot.shape.value);
+        }
+        this.setTheme(snapshot.theme);
+        this.setSpeed(snapshot.speed);
+
+        const now = Date.now();
+        snapshot.notes.forEach(record => {
+            const note = this.generator.addNote({ ...record, createdAt: now });
+            this.attachNote(note);
+        });
+
+        this.initLayoutSelect();
+        this.updateCount();
+        this.fitAll();
+    }
+
+    /**
+     * 生成分享链接并复制到剪贴板
+     */
+    async shareWall() {
+        try {
+            const link = await this.snapshot.createShareLink();
+
+            try {
+                await navigator.clipboard.writeText(link);
+                this.flashIcon(this.shareBtn, '✅');
+                this.log(i18n.t('log.shareCopied', { length: link.length }));
+            } catch (error) {
+                // 剪贴板不可用时让用户手动复制
+                prompt(i18n.t('dialog.copyShareLink'), link);
+            }
+        } catch (error) {
+            console.error(i18n.t('log.shareFailed'), error);
+        }
+    }
+
+    /**
+     * 短暂替换按钮图标作为操作反馈
+     */
+    flashIcon(button, icon) {
+        const iconEl = button.querySelector('.icon');
+        const original = iconEl.textContent;
+        iconEl.textContent = icon;
+        setTimeout(() => {
+            iconEl.textContent = original;
+        }, 1500);
+    }
+
+    /**
+     * 根据语录源注册表生成启用开关,并恢复保存的开关状态
+     */
+    initSourceToggles() {
+        const saved = this.loadSourceToggles();
+        const providers = this.generator.providers;
+
+        providers.list().forEach(provider => {
+            if (typeof saved[provider.name] === 'boolean') {
+                providers.configure(provider.name, { enabled: saved[provider.name] });
+            }
+        });
+        this.renderSourceToggles();
+    }
+
+    /**
+     * 读取保存的语录源开关({ 语录源名称: 是否启用 })
+     */
+    loadSourceToggles() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey('quoteSources')) || '{}') || {};
+        } catch (error) {
+            console.error(i18n.t('log.sourcesLoadFailed'), error);
+            return {};
+        }
+    }
+
+    /**
+     * 按语录源的当前启用状态生成开关
+     */
+    renderSourceToggles() {
+        this.sourceList.innerHTML = '';
+        this.generator.providers.list().forEach(provider => {
+            const label = document.createElement('label');
+            label.className = 'compact-check';
+            label.title = i18n.t('source.hint', {
+                weight: provider.weight,
+                timeout: provider.timeout,
+                language: provider.language || i18n.t('source.anyLanguage')
+            });
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = provider.name;
+            checkbox.checked = provider.enabled;
+            checkbox.addEventListener('change', () => {
+                this.setSourceEnabled(provider.name, checkbox.checked);
+            });
+
+            label.append(checkbox, ` ${i18n.t(provider.label)}`);
+            this.sourceList.appendChild(label);
+        });
+    }
+
+    /**
+     * 启用/停用语录源并保存到 localStorage
+     */
+    setSourceEnabled(name, enabled) {
+        this.generator.providers.configure(name, { enabled });
+
+        const saved = this.loadSourceToggles();
+        saved[name] = enabled;
+        try {
+            localStorage.setItem(this.storageKey('quoteSources'), JSON.stringify(saved));
+        } catch (error) {
+            console.error(i18n.t('log.sourcesSaveFailed'), error);
+        }
+
+        this.log(i18n.t(enabled ? 'log.sourceEnabled' : 'log.sourceDisabled', { name }));
+    }
+
+    /**
+     * 读取保存的生命周期策略,填入控制面板
+     */
+    initPolicyInputs() {
+        this.lifecycle.init();
+        this.updatePolicyInputs();
+    }
+
+    /**
+     * 在控制面板中显示当前生命周期策略
+     */
+    updatePolicyInputs() {
+        const { maxNotes, ttl, rotate } = this.lifecycle.getPolicy();
+        this.maxNotesInput.value = maxNotes || '';
+        this.ttlInput.value = ttl || '';
+        this.rotateCheck.checked = rotate;
+    }
+
+    /**
+     * 按控制面板的输入更新生命周期策略(空白视为不限)
+     */
+    updatePolicy() {
+        this.lifecycle.configure({
+            maxNotes: parseInt(this.maxNotesInput.value) || 0,
+            ttl: parseFloat(this.ttlInput.value) || 0,
+            rotate: this.rotateCheck.checked
+        });
+
+        const { maxNotes, ttl, rotate } = this.lifecycle.getPolicy();
+        this.log(i18n.t('log.policy', {
+            maxNotes: maxNotes || i18n.t('policy.unlimited'),
+            ttl: ttl ? `${ttl}s` : i18n.t('policy.unlimited'),
+            rotate: i18n.t(rotate ? 'policy.on' : 'policy.off')
+        }));
+    }
+
+    /**
+     * 根据文本库分类生成筛选开关,并恢复保存的选择
+     */
+    initCategoryFilter() {
+        const library = this.generator.library;
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey('messageCategories')) || 'null');
+            library.setActiveCategories(Array.isArray(saved) ? saved : null);
+        } catch (error) {
+            console.error(i18n.t('log.categoriesLoadFailed'), error);
+        }
+        this.renderCategoryFilter();
+    }
+
+    /**
+     * 按当前语言文本的分类生成筛选开关
+     * 筛选的分类在当前语言中都没有时,文本库退回全部条目,开关也全部勾选
+     */
+    renderCategoryFilter() {
+        const library = this.generator.library;
+        const categories = library.getCategories();
+        const filtered = categories.some(category => library.isCategoryActive(category));
+
+        this.categoryList.innerHTML = '';
+        categories.forEach(category => {
+            const label = document.createElement('label');
+            label.className = 'compact-check';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = category;
+            checkbox.checked = !filtered || library.isCategoryActive(category);
+            checkbox.addEventListener('change', () => {
+                // 至少保留一个分类,全部取消时文本库会退回全部条目
+                if (!this.categoryList.querySelector('input:checked')) {
+                    checkbox.checked = true;
+                    return;
+                }
+                this.updateCategoryFilter();
+            });
+
+            label.append(checkbox, ` ${category}`);
+            this.categoryList.appendChild(label);
+        });
+    }
+
+    /**
+     * 按勾选的分类更新本地文本筛选并保存(全部勾选时不筛选)
+     */
+    updateCategoryFilter() {
+        const checkboxes = Array.from(this.categoryList.querySelectorAll('input'));
+        const selected = checkboxes.filter(checkbox => checkbox.checked).map(checkbox => checkbox.value);
+        const categories = selected.length === checkboxes.length ? null : selected;
+
+        this.generator.library.setActiveCategories(categories);
+        try {
+            localStorage.setItem(this.storageKey('messageCategories'), JSON.stringify(categories));
+        } catch (error) {
+            console.error(i18n.t('log.categoriesSaveFailed'), error);
         }
+
+        this.log(i18n.t('log.categories', {
+            categories: categories ? categories.join(i18n.t('list.separator')) || i18n.t('list.none') : i18n.t('list.all')
+        }));
+    }
+
+    /**
+     * 根据布局注册表填充布局选择框
+     */
+    initLayoutSelect() {
+        this.layoutSelect.innerHTML = '';
+        this.generator.layouts.list().forEach(layout => {
+            const option = document.createElement('option');
+            option.value = layout.name;
+            option.textContent = i18n.t(layout.label); // 内置布局的名称为文案键
+            this.layoutSelect.appendChild(option);
+        });
+        this.layoutSelect.value = this.generator.layoutName;
+        this.shapeInput.value = this.generator.shapeSampler.source.value;
+        this.updateShapeRow();
     }
 
     /**
-     * 窗口大小改变时重新定位所有便签
+     * 填充界面语言选择框: 跟随浏览器和已注册的语言
      */
-    repositionNotes() {
-        const notes = this.generator.notes;
+    initLocaleSelect() {
+        this.localeSelect.innerHTML = '';
+
+        const auto = document.createElement('option');
+        auto.value = 'auto';
+        auto.textContent = i18n.t('locale.auto');
+        this.localeSelect.appendChild(auto);
 
-        notes.forEach((noteInfo, index) => {
-            const position = this.generator.getHeartPosition(index, 50);
-            noteInfo.element.style.left = `${position.x}px`;
-            noteInfo.element.style.top = `${position.y}px`;
-            noteInfo.x = position.x;
-            noteInfo.y = position.y;
+        i18n.getLocales().forEach(({ code, name }) => {
+            const option = document.createElement('option');
+            option.value = code;
+            option.textContent = name;
+            this.localeSelect.appendChild(option);
         });
+        this.localeSelect.value = i18n.getPreference();
+    }
 
-        this.log(`🔄 已重新定位 ${notes.length} 个便签`);
+    /**
+     * 翻译便签墙(独立页面翻译整个页面,包括标题)并标注语言,供读屏软件选择发音
+     */
+    translatePage() {
+        const root = this.standalone ? document.documentElement : this.root;
+        root.lang = i18n.locale;
+        i18n.translate(root);
+    }
+
+    /**
+     * 界面语言变化后重新翻译界面、便签标签和下拉框,并让生成器改用该语言的语录
+     */
+    applyLocale() {
+        this.translatePage();
+        this.initThemeSelect();
+        this.initLayoutSelect();
+        this.initLocaleSelect();
+        this.renderSourceToggles();
+        this.generator.setLanguage(i18n.locale);
+        this.renderCategoryFilter(); // 分类随内容语言变化
+        this.generator.relabelNotes();
+
+        const locale = i18n.getLocales().find(({ code }) => code === i18n.locale);
+        this.log(i18n.t('log.locale', { name: locale ? locale.name : i18n.locale }));
+    }
+
+    /**
+     * 仅在文字/图形布局下显示形状输入框
+     */
+    updateShapeRow() {
+        this.shapeRow.hidden = this.generator.layoutName !== 'shape';
+    }
+
+    /**
+     * 应用输入的文字或 SVG path 形状
+     */
+    applyShape() {
+        const value = this.shapeInput.value.trim();
+        if (!value) return;
+
+        this.generator.setShape(value);
+        this.repositionNotes(true);
+    }
+
+    /**
+     * 切换布局并以动画重新排列现有便签
+     */
+    setLayout(name) {
+        if (!this.generator.setLayout(name)) {
+            this.layoutSelect.value = this.generator.layoutName;
+            return;
+        }
+
+        this.updateShapeRow();
+        this.repositionNotes(true);
+    }
+
+    /**
+     * 按当前布局重新定位所有便签(窗口大小改变或切换布局时),层叠顺序不变
+     * @param {boolean} animate - 是否以过渡动画移动到新位置
+     */
+    repositionNotes(animate = false) {
+        const notes = this.generator.getStackOrder(); // 按层叠顺序分配布局位置,最上层的便签排在布局末尾
+
+        if (animate) {
+            this.canvas.classList.add('relayout');
+            clearTimeout(this.relayoutTimeout);
+            this.relayoutTimeout = setTimeout(() => {
+                this.canvas.classList.remove('relayout');
+            }, 800);
+        }
+
+        this.generator.moveNotes(notes.map((noteInfo, index) => ({
+            id: noteInfo.id,
+            ...this.generator.getLayoutPosition(index, noteInfo)
+        })));
+
+        this.log(i18n.t('log.repositioned', { count: notes.length }));
+    }
+
+    /**
+     * 应用 URL 参数中的配置
+     * 布局属于便签墙状态会随之保存,其余设置不保存,刷新后仍以 URL 为准
+     * @returns {Object} 生效的配置
+     */
+    applyKioskConfig(config) {
+        if (config.debug !== undefined) {
+            this.setDebugMode(config.debug, false);
+        }
+        if (config.speed !== undefined) {
+            this.setSpeed(config.speed);
+        }
+        if (config.layout !== undefined) {
+            this.generator.setLayout(config.layout);
+        }
+        if (config.theme !== undefined) {
+            this.themes.setPreference(config.theme, false);
+        }
+
+        if (config.sources) {
+            const providers = this.generator.providers;
+            providers.list().forEach(provider => {
+                providers.configure(provider.name, { enabled: config.sources.includes(provider.name) });
+            });
+            this.sourceList.querySelectorAll('input').forEach(checkbox => {
+                checkbox.checked = providers.get(checkbox.value).enabled;
+            });
+        }
+
+        if (config.categories) {
+            this.generator.library.setActiveCategories(config.categories);
+            this.renderCategoryFilter();
+        }
+
+        const policy = {};
+        ['maxNotes', 'ttl', 'rotate'].forEach(key => {
+            if (config[key] !== undefined) {
+                policy[key] = config[key];
+            }
+        });
+        if (Object.keys(policy).length > 0) {
+            this.lifecycle.configure(policy, false);
+            this.updatePolicyInputs();
+        }
+
+        if (config.controls === false) {
+            this.root.classList.add('kiosk-mode');
+        }
+        if (config.wakeLock) {
+            this.kiosk.requestWakeLock();
+        }
+        this.wakeLockFromUrl = Boolean(config.wakeLock);
+
+        this.showKioskWarnings(this.kiosk.warnings);
+        if (Object.keys(config).length > 0) {
+            this.log(i18n.t('log.urlParams'), config);
+        }
+
+        return config;
+    }
+
+    /**
+     * 调试模式下在页面上显示被忽略的 URL 参数
+     */
+    showKioskWarnings(warnings) {
+        if (warnings.length === 0 || !this.debugMode) return;
+
+        warnings.forEach(warning => console.warn(`⚠️ ${warning}`));
+        this.kioskWarning.textContent = `⚠️ ${warnings.join(i18n.t('list.semicolon'))}`;
+        this.kioskWarning.hidden = false;
+        setTimeout(() => {
+            this.kioskWarning.hidden = true;
+        }, 10000);
+    }
+
+    /**
+     * 进入全屏时保持屏幕常亮,退出时释放(URL 参数要求常亮时除外)
+     */
+    onFullscreenChange() {
+        const fullscreen = this.kiosk.isFullscreen();
+        this.fullscreenBtn.querySelector('.icon').textContent = fullscreen ? '🗗' : '⛶';
+        this.fullscreenBtn.setAttribute('aria-pressed', String(fullscreen));
+
+        if (fullscreen) {
+            this.kiosk.requestWakeLock();
+        } else if (!this.wakeLockFromUrl) {
+            this.kiosk.releaseWakeLock();
+        }
+        this.log(i18n.t(fullscreen ? 'log.fullscreenOn' : 'log.fullscreenOff'));
     }
 
     /**
      * 设置调试模式
+     * @param {boolean} persist - 是否保存到 localStorage(URL 参数开启时不保存)
      */
-    setDebugMode(enabled) {
+    setDebugMode(enabled, persist = true) {
         this.debugMode = enabled;
 
         // 同步生成器的调试模式
@@ -281,6 +1482,11 @@ class NoteWallApp {
             this.generator.setDebugMode(enabled);
         }
 
+        // 调试模式下显示随机种子
+        if (this.seedBadge) {
+            this.seedBadge.hidden = !enabled || this.seed === null;
+        }
+
         // 更新按钮状态
         if (this.debugBtn) {
             if (enabled) {
@@ -288,10 +1494,13 @@ class NoteWallApp {
             } else {
                 this.debugBtn.classList.remove('active');
             }
+            this.debugBtn.setAttribute('aria-pressed', String(enabled));
         }
 
         // 保存到 localStorage
-        localStorage.setItem('debugMode', enabled.toString());
+        if (persist) {
+            localStorage.setItem(this.storageKey('debugMode'), enabled.toString());
+        }
     }
 
     /**
@@ -302,13 +1511,21 @@ class NoteWallApp {
         this.setDebugMode(newMode);
 
         // 显示提示
-        const message = newMode ? '🐛 调试模式已开启' : '🔇 调试模式已关闭';
+        const message = i18n.t(newMode ? 'log.debugOn' : 'log.debugOff');
         console.log(message); // 这个总是显示,告知用户状态变化
     }
 }
 
-// 页面加载完成后初始化应用
+// 导出为全局变量
+window.NoteWallApp = NoteWallApp;
+
+// 页面加载完成后初始化页面上的便签墙(通过 noteWall.js 模块挂载的便签墙没有 data-note-wall 属性)
 document.addEventListener('DOMContentLoaded', () => {
-    const app = new NoteWallApp();
-    app.init();
+    document.querySelectorAll('[data-note-wall]').forEach((root, i) => {
+        const app = new NoteWallApp(root, { standalone: true });
+        if (i === 0) {
+            window.noteWallApp = app; // 便于在控制台或扩展脚本中访问(如注册自定义布局)
+        }
+        app.init();
+    });
 });
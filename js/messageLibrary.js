@@ -0,0 +1,179 @@
+/**
+ * 本地文本库模块
+ * 加载多个文本库文件,每条文本带分类、语言和作者,支持按分类和语言筛选
+ *
+ * 文本库文件支持两种格式:
+ * 1. 旧版扁平格式: { "messages": ["坚持梦想", ...] }
+ * 2. 带元数据格式: { "name": "诗词", "language": "zh-CN", "categories": ["诗词"],
+ *                    "messages": [{ "text": "...", "categories": ["自然"], "author": "王维" }] }
+ */
+
+class MessageLibrary {
+    /**
+     * @param {string} [baseUrl] - 文本库路径的基准地址(嵌入到其他页面时为便签墙的部署地址),默认相对当前页面
+     */
+    constructor(baseUrl = '') {
+        this.baseUrl = baseUrl;
+        this.entries = []; // { text, categories, language, author, library }
+        this.activeCategories = null; // null 表示不筛选
+        this.defaultCategory = i18n.t('library.uncategorized');
+        this.defaultLanguage = 'zh-CN';
+        this.language = null; // 内容语言(随界面语言切换),null 表示不限
+    }
+
+    /**
+     * 按索引文件加载所有文本库
+     * 索引文件不存在时只加载 fallbackUrl(兼容只有 messages.json 的旧部署)
+     * @returns {Promise<number>} 加载的条目数
+     */
+    async load(indexUrl = 'data/libraries.json', fallbackUrl = 'data/messages.json') {
+        let libraries = [fallbackUrl];
+
+        try {
+            const response = await fetch(this.resolveUrl(indexUrl));
+            if (response.ok) {
+                const data = await response.json();
+                libraries = data.libraries || libraries;
+            }
+        } catch (error) {
+            // 没有索引文件时使用默认文本库
+        }
+
+        const results = await Promise.allSettled(libraries.map(library =>
+            typeof library === 'string' ? this.loadFile(library) : this.loadFile(library.url, library)
+        ));
+
+        results.forEach((result, i) => {
+            if (result.status === 'rejected') {
+                console.error(i18n.t('log.libraryFailed', { library: JSON.stringify(libraries[i]) }), result.reason);
+            }
+        });
+
+        return this.entries.length;
+    }
+
+    /**
+     * 加载单个文本库文件
+     * @param {Object} defaults - 索引中为该文件指定的默认分类、语言等
+     */
+    async loadFile(url, defaults = {}) {
+        const response = await fetch(this.resolveUrl(url));
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const data = await response.json();
+        if (!Array.isArray(data.messages)) {
+            throw new Error(i18n.t('error.libraryMessages'));
+        }
+
+        this.addMessages(data.messages, {
+            library: data.name || defaults.name || url,
+            language: data.language || defaults.language,
+            categories: data.categories || defaults.categories
+        });
+    }
+
+    /**
+     * 按基准地址解析文本库路径
+     */
+    resolveUrl(url) {
+        return this.baseUrl ? new URL(url, this.baseUrl).href : url;
+    }
+
+    /**
+     * 添加文本(字符串或带元数据的对象)
+     */
+    addMessages(messages, defaults = {}) {
+        messages.forEach(message => {
+            const entry = this.normalizeEntry(message, defaults);
+            if (entry) {
+                this.entries.push(entry);
+            }
+        });
+    }
+
+    /**
+     * 统一条目格式
+     */
+    normalizeEntry(message, defaults) {
+        const item = typeof message === 'string' ? { text: message } : message;
+        if (!item || typeof item.text !== 'string' || !item.text.trim()) return null;
+
+        const categories = item.categories || item.tags || defaults.categories || [];
+
+        return {
+            text: item.text,
+            categories: categories.length > 0 ? categories : [this.defaultCategory],
+            language: item.language || defaults.language || this.defaultLanguage,
+            author: item.author || null,
+            library: defaults.library || null
+        };
+    }
+
+    /**
+     * 设置内容语言,之后只使用该语言的条目
+     * @param {string|null} language - 语言代码,只比较主语言(zh-TW 也使用 zh-CN 的条目)
+     */
+    setLanguage(language) {
+        this.language = language;
+    }
+
+    /**
+     * 当前语言的条目(没有该语言的条目时退回全部条目)
+     */
+    getLanguageEntries() {
+        if (!this.language) return this.entries;
+
+        const entries = this.entries.filter(entry => I18n.sameLanguage(entry.language, this.language));
+        return entries.length > 0 ? entries : this.entries;
+    }
+
+    /**
+     * 获取当前语言条目的所有分类(按出现顺序)
+     */
+    getCategories() {
+        const categories = new Set();
+        this.getLanguageEntries().forEach(entry => entry.categories.forEach(category => categories.add(category)));
+        return Array.from(categories);
+    }
+
+    /**
+     * 设置参与生成的分类
+     * @param {string[]|null} categories - null 表示全部分类
+     */
+    setActiveCategories(categories) {
+        this.activeCategories = categories ? new Set(categories) : null;
+    }
+
+    /**
+     * 判断分类是否参与生成
+     */
+    isCategoryActive(category) {
+        return !this.activeCategories || this.activeCategories.has(category);
+    }
+
+    /**
+     * 获取符合筛选条件的条目(筛选结果为空时退回当前语言的全部条目,保证总有文字可用)
+     */
+    getActiveEntries() {
+        const languageEntries = this.getLanguageEntries();
+        if (!this.activeCategories) return languageEntries;
+
+        const entries = languageEntries.filter(entry =>
+            entry.categories.some(category => this.activeCategories.has(category))
+        );
+        return entries.length > 0 ? entries : languageEntries;
+    }
+
+    /**
+     * 条目转换为语录(作者作为出处)
+     * @returns {{text: string, attribution: string|null}}
+     */
+    static toQuote(entry) {
+        return { text: entry.text, attribution: entry.author || null };
+    }
+}
+
+// 导出为全局变量
+window.MessageLibrary = MessageLibrary;
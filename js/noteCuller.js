@@ -0,0 +1,85 @@
+/**
+ * 视口剔除模块
+ * 只显示可见区域附近的便签,其余便签 display: none,不参与布局和绘制
+ * 平移/缩放或便签变化后在下一帧更新,只切换进出视口的便签
+ */
+
+class NoteCuller {
+    constructor(generator, viewport, margin = 200) {
+        this.generator = generator;
+        this.viewport = viewport;
+        this.margin = margin; // 可见区域外额外保留的范围(屏幕像素),避免平移时边缘闪烁
+        this.enabled = true;
+        this.shownIds = new Set(); // 当前显示的便签
+        this.frame = null;
+    }
+
+    /**
+     * 新便签默认显示,登记后由下一次更新决定是否剔除
+     */
+    add(noteElement) {
+        this.shownIds.add(noteElement.dataset.id);
+        this.invalidate();
+    }
+
+    /**
+     * 请求更新(同一帧内的多次变化只计算一次)
+     */
+    invalidate() {
+        if (this.frame) return;
+
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.update();
+        });
+    }
+
+    /**
+     * 开启/关闭剔除(关闭时显示全部便签)
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.update();
+    }
+
+    /**
+     * 按当前可见区域切换便签显示
+     */
+    update() {
+        const visible = this.viewport.getVisibleRect();
+        const margin = this.margin / this.viewport.zoom;
+        const notes = this.enabled
+            ? this.generator.queryNotes({
+                x: visible.x - margin,
+                y: visible.y - margin,
+                width: visible.width + margin * 2,
+                height: visible.height + margin * 2
+            })
+            : this.generator.notes;
+        const ids = new Set(notes.map(note => note.id));
+
+        // 离开视口的便签
+        this.shownIds.forEach(id => {
+            if (ids.has(id)) return;
+
+            const element = this.generator.getElement(id);
+            if (element) {
+                element.classList.add('culled');
+            }
+        });
+
+        // 进入视口的便签(重新显示时不再播放飘入动画)
+        notes.forEach(note => {
+            if (this.shownIds.has(note.id)) return;
+
+            const element = this.generator.getElement(note.id);
+            element.classList.remove('culled');
+            element.classList.add('settled');
+        });
+
+        this.shownIds = ids;
+    }
+}
+
+// 导出为全局变量
+window.NoteCuller = NoteCuller;
@@ -0,0 +1,183 @@
+/**
+ * 便签编辑模块
+ * 双击空白处新建便签,双击便签编辑文字,点击删除按钮移除便签,点击置顶按钮置顶/取消置顶
+ */
+
+class NoteEditor {
+    constructor(generator, callbacks = {}) {
+        this.generator = generator;
+        this.onCreate = callbacks.onCreate || (() => {}); // 新建便签后回调(绑定交互)
+        this.onEdit = callbacks.onEdit || (() => {}); // 保存文字后回调(note, { isNew, previousText, text })
+        this.onRemove = callbacks.onRemove || (() => {}); // 删除便签后回调(note, removed)
+        this.editingNote = null;
+    }
+
+    /**
+     * 在画布上绑定编辑相关事件
+     */
+    bind(canvas) {
+        // 双击: 空白处新建,便签上编辑
+        canvas.addEventListener('dblclick', (e) => {
+            const note = e.target.closest('.note');
+
+            // 连点查看全文、置顶按钮不进入编辑
+            if (e.target.closest('.note-more, .note-pin')) return;
+
+            if (note) {
+                this.editNote(note);
+            } else if (e.target === canvas || e.target === this.generator.container) {
+                this.createNoteAt(e.clientX, e.clientY);
+            }
+        });
+
+        // 删除按钮
+        canvas.addEventListener('click', (e) => {
+            const deleteBtn = e.target.closest('.note-delete');
+            if (!deleteBtn) return;
+
+            e.stopPropagation();
+            this.deleteNote(deleteBtn.closest('.note'));
+        });
+
+        // 置顶按钮
+        canvas.addEventListener('click', (e) => {
+            const pinBtn = e.target.closest('.note-pin');
+            if (!pinBtn) return;
+
+            e.stopPropagation();
+            const note = pinBtn.closest('.note');
+            this.generator.setNotePinned(note, !note.classList.contains('pinned'));
+        });
+    }
+
+    /**
+     * 在指定屏幕坐标处新建便签并进入编辑
+     * 编辑期间只显示草稿元素,提交非空文字后才加入便签墙(保存、同步和计入历史),取消时直接移除草稿
+     */
+    createNoteAt(clientX, clientY) {
+        if (this.editingNote) return;
+
+        const point = this.generator.clientToWorld(clientX, clientY);
+        const record = this.generator.createUserRecord('', point.x, point.y);
+        const draft = this.generator.createNoteElement(record);
+        this.generator.container.appendChild(draft);
+
+        this.startEditing(draft, '', (text) => {
+            draft.remove();
+            if (!text) return null;
+
+            // 按最终文字的尺寸重新以双击处为中心,沿用草稿的 ID、颜色和层叠顺序
+            const note = this.generator.addNote({
+                ...this.generator.createUserRecord(text, point.x, point.y, { color: record.color }),
+                id: record.id,
+                z: record.z
+            });
+            this.onCreate(note);
+            this.onEdit(note, { isNew: true, previousText: '', text });
+            this.generator.log(i18n.t('log.noteCreated', { text: text.substring(0, 15) }));
+            return note;
+        });
+    }
+
+    /**
+     * 进入便签编辑状态(只编辑文字,出处不变)
+     */
+    editNote(note) {
+        const record = this.generator.getNoteInfo(note);
+        if (!record) return;
+
+        this.startEditing(note, record.text, (text) => {
+            if (text) {
+                this.generator.updateNoteText(note, text);
+                this.onEdit(note, { isNew: false, previousText: record.text, text });
+                this.generator.log(i18n.t('log.noteEdited', { text: text.substring(0, 15) }));
+            } else if (this.generator.getNoteInfo(note)) {
+                this.generator.renderNote(note, record);
+            }
+            return note;
+        });
+    }
+
+    /**
+     * 让便签文字可编辑,结束时调用 onFinish(text)
+     * @param {Function} onFinish - 保存时传入去掉首尾空白的文字,取消时传入 null;返回结束后获得焦点的便签元素
+     */
+    startEditing(note, originalText, onFinish) {
+        if (this.editingNote) return;
+
+        const textEl = note.querySelector('.note-text');
+
+        this.editingNote = note;
+        note.classList.add('editing');
+        textEl.textContent = originalText;
+
+        // 优先使用纯文本编辑,避免粘贴带格式的内容
+        textEl.contentEditable = 'plaintext-only';
+        if (textEl.contentEditable !== 'plaintext-only') {
+            textEl.contentEditable = 'true';
+        }
+        textEl.focus();
+        this.selectAll(textEl);
+
+        const finish = (save) => {
+            textEl.removeEventListener('keydown', onKeydown);
+            textEl.removeEventListener('blur', onBlur);
+            textEl.contentEditable = 'false';
+            note.classList.remove('editing');
+            this.editingNote = null;
+
+            const text = (textEl.innerText ?? textEl.textContent).trim();
+            return onFinish(save ? text : null);
+        };
+
+        // 按键结束编辑后焦点回到便签,键盘可以继续操作(点击别处结束时不抢焦点)
+        const onKeydown = (e) => {
+            let focusNote;
+            if (e.key === 'Enter' && !e.shiftKey) {
+                // Enter 保存,Shift+Enter 换行
+                e.preventDefault();
+                focusNote = finish(true);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                focusNote = finish(false);
+            } else {
+                return;
+            }
+            if (focusNote && focusNote.isConnected) {
+                focusNote.focus();
+            }
+        };
+
+        const onBlur = () => finish(true);
+
+        textEl.addEventListener('keydown', onKeydown);
+        textEl.addEventListener('blur', onBlur);
+    }
+
+    /**
+     * 删除便签
+     */
+    deleteNote(note) {
+        if (!note || !this.generator.getNoteInfo(note)) return; // 新建便签的草稿不在便签墙中
+
+        const removed = this.generator.removeNote(note);
+        this.onRemove(note, removed);
+        this.generator.log(i18n.t('log.noteDeleted'));
+    }
+
+    /**
+     * 选中元素内全部文字
+     */
+    selectAll(element) {
+        const selection = window.getSelection();
+        if (!selection) return;
+
+        const range = document.createRange();
+        range.selectNodeContents(element);
+        selection.removeAllRanges();
+        selection.addRange(range);
+    }
+}
+
+// 导出为全局变量
+window.NoteEditor = NoteEditor;
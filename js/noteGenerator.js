@@ -5,23 +5,53 @@
  */
 
 class NoteGenerator {
-    constructor() {
-        this.messages = [];
-        this.usedMessages = new Set(); // 记录已使用的文字,避免重复
-        this.colors = ['pink', 'green', 'yellow', 'blue', 'purple', 'orange'];
-        this.noteCount = 0;
+    /**
+     * 文本库加载失败时使用的内置文本(按语言)
+     */
+    static fallbackMessages = {
+        'zh-CN': [
+            '坚持梦想', '不怕失败', '一起加油', '你值得被爱', '保持耐心',
+            '做最好的自己', '相信自己', '自信满满', '闪闪发光', '勇往直前',
+            '人生如逆旅,我亦是行人', '山高路远,看世界也看自己',
+            '慢慢来,比较快', '热爱可抵岁月漫长', '温柔且坚定'
+        ],
+        en: [
+            'Follow your dreams', 'Never give up', 'Keep going', 'You are loved', 'Be patient',
+            'Be your best self', 'Believe in yourself', 'Stay curious', 'Shine bright', 'Be brave',
+            'Slow and steady', 'One step at a time', 'Enjoy the journey',
+            'Kindness is strength', 'Small steps, big changes'
+        ]
+    };
+
+    constructor(options = {}) {
+        this.baseUrl = options.baseUrl || ''; // data/ 目录所在的地址(嵌入到其他页面时使用),默认相对当前页面
+        this.library = options.library || new MessageLibrary(this.baseUrl); // 本地文本库
+        this.themes = options.themes || null; // 主题管理器(ThemeManager),便签颜色取自当前主题的配色
         this.canvas = null;
-        this.notes = []; // 存储所有便签的位置信息,用于避免重叠
+        this.viewport = options.viewport || null; // 无限画布视口(WallViewport),便签坐标为世界坐标
+        this.container = null; // 便签的父元素(有视口时为世界层)
+        this.store = options.store || new NoteStore(); // 便签记录(唯一的数据来源),DOM 由 onStoreChange 派生
+        this.store.onChange = (type, records) => this.onStoreChange(type, records);
+        this.elements = new Map(); // id -> 便签元素
+        this.index = new SpatialIndex(); // 便签空间索引(世界坐标)
+        this.saveScheduled = false; // 同一轮事件中的多次修改只保存一次
         this.useHitokoto = true; // 是否使用一言API
-        this.hitokotoCache = []; // 一言缓存
+        this.hitokotoCache = []; // 语录缓存,元素为 { text, source }
+        this.preloadStarted = false; // 是否已开始预加载(见 preload),之前切换语言不预加载
         this.usedApiTexts = new Set(); // 已使用的API文本(去重)
-        this.apiSources = [
-            { name: 'hitokoto', url: 'https://v1.hitokoto.cn/?c=a&c=b&c=d&c=h&c=i&c=k', enabled: true },
-            { name: 'jinrishici', url: 'https://v1.jinrishici.com/all.json', enabled: true },
-            { name: 'local', url: null, enabled: true } // 本地文本库
-        ];
-        this.currentApiIndex = 0;
+        this.providers = options.providers || new QuoteProviderRegistry(); // 语录源注册表
         this.debugMode = false; // 调试模式开关
+        this.storage = options.storage || null; // 持久化存储(WallStorage)
+        this.layouts = options.layouts || new LayoutRegistry(); // 布局注册表
+        this.layoutName = 'heart'; // 当前布局
+        this.shapeSampler = new ShapeSampler(); // 文字/图形布局的采样器
+        this.textFitter = options.textFitter || new TextFitter(); // 文字测量与便签尺寸
+        this.quoteStore = options.quoteStore || null; // 语录离线缓存(QuoteStore)
+        this.cachedQuotes = []; // 从离线缓存读取的语录文字
+        this.onChange = options.onChange || (() => {}); // 便签变化回调(刷新小地图)
+        this.events = options.events || null; // 便签事件的派发目标(EventTarget),见 emit
+        this.rng = options.rng || null; // 种子随机数(SeededRandom),为空时使用 Math.random
+        this.language = null; // 内容语言(随界面语言切换),网络语录源和本地文本只取该语言的内容,null 表示不限
     }
 
     /**
@@ -33,49 +63,121 @@ class NoteGenerator {
         }
     }
 
+    /**
+     * 派发便签事件: notecreated / noteupdated / noteremoved({ note, expired }),notemoved / notereordered({ notes })
+     * noteremoved 的 expired 为 true 表示由生命周期策略淘汰(数量上限、存活时间、轮换)
+     * 事件中的便签为记录副本(不含DOM元素);从存储恢复便签时不派发
+     */
+    emit(type, detail) {
+        if (this.events) {
+            this.events.dispatchEvent(new CustomEvent(type, { detail }));
+        }
+    }
+
+    /**
+     * [0, 1) 之间的随机数(设置了种子时可复现)
+     */
+    random() {
+        return this.rng ? this.rng.next() : Math.random();
+    }
+
+    /**
+     * 新便签的唯一ID
+     */
+    createNoteId() {
+        return this.rng ? this.rng.nextId() : `note-${Date.now()}-${Math.random()}`;
+    }
+
     /**
      * 设置调试模式
      */
     setDebugMode(enabled) {
         this.debugMode = enabled;
-        this.log(`🔧 调试模式已${enabled ? '开启' : '关闭'}`);
+        this.log(i18n.t(enabled ? 'log.generatorDebugOn' : 'log.generatorDebugOff'));
     }
 
     /**
      * 初始化生成器,加载文本库
      */
     async init(canvasElement) {
-        this.canvas = canvasElement;
+        this.attach(canvasElement);
 
         // 加载本地文本库作为备用
-        try {
-            const response = await fetch('data/messages.json');
-            const data = await response.json();
-            this.messages = data.messages;
-            this.log(`✅ 加载了 ${this.messages.length} 条本地鼓励语`);
-        } catch (error) {
-            console.error('❌ 加载文本库失败:', error);
+        const count = await this.library.load();
+        if (count > 0) {
+            this.log(i18n.t('log.libraryLoaded', {
+                count,
+                categories: this.library.getCategories().join(i18n.t('list.separator'))
+            }));
+        } else {
+            console.error(i18n.t('log.libraryFallback'));
             // 使用备用文本
-            this.messages = [
-                '坚持梦想', '不怕失败', '一起加油', '你值得被爱', '保持耐心',
-                '做最好的自己', '相信自己', '自信满满', '闪闪发光', '勇往直前',
-                '人生如逆旅,我亦是行人', '山高路远,看世界也看自己',
-                '慢慢来,比较快', '热爱可抵岁月漫长', '温柔且坚定'
-            ];
+            Object.entries(NoteGenerator.fallbackMessages).forEach(([language, messages]) => {
+                this.library.addMessages(messages, { language });
+            });
         }
 
-        // 后台预加载语录(不阻塞初始化)
-        this.preloadHitokoto();
+        // 加载自定义语录源配置
+        await this.loadSourceConfig();
+
+        // 读取以往在线时缓存的语录,供离线使用
+        await this.loadCachedQuotes();
+    }
+
+    /**
+     * 后台预加载语录(不阻塞),在调用方应用语录源开关之后调用
+     * 设置了种子时只使用本地文本,网络语录的到达时间无法复现
+     */
+    preload() {
+        this.preloadStarted = true;
+        if (!this.rng) {
+            this.preloadHitokoto();
+        }
+    }
+
+    /**
+     * 绑定画布(不加载文本库和语录源,基准测试页直接使用)
+     */
+    attach(canvasElement) {
+        this.canvas = canvasElement;
+        this.container = this.viewport ? this.viewport.world : canvasElement;
+    }
+
+    /**
+     * 设置内容语言;切换时丢弃预加载的其他语言语录并重新预加载
+     * @param {string|null} language - 语言代码,null 表示不限
+     */
+    setLanguage(language) {
+        if (this.language === language) return;
+
+        this.language = language;
+        this.library.setLanguage(language);
+        this.hitokotoCache = [];
+        this.log(i18n.t('log.contentLanguage', { language: language || i18n.t('list.all') }));
+
+        // 开始预加载前由 preload 预加载
+        if (this.preloadStarted && !this.rng) {
+            this.preloadHitokoto();
+        }
+    }
+
+    /**
+     * 内容语言是否与当前语言一致(未标注语言的内容总是可用)
+     */
+    isLanguageMatch(language) {
+        return !language || !this.language || I18n.sameLanguage(language, this.language);
     }
 
     /**
      * 预加载一言语录(异步,不阻塞)
      */
     async preloadHitokoto() {
+        const language = this.language;
         try {
             // 并发获取5条语录(提速)
             const promises = Array(5).fill(null).map(() => this.fetchFromAPIs());
             const results = await Promise.allSettled(promises);
+            if (this.language !== language) return; // 获取期间切换了语言,由新的预加载补充
 
             results.forEach(result => {
                 if (result.status === 'fulfilled' && result.value) {
@@ -83,230 +185,337 @@ class NoteGenerator {
                 }
             });
 
-            this.log(`✅ 预加载了 ${this.hitokotoCache.length} 条语录`);
+            this.log(i18n.t('log.quotesPreloaded', { count: this.hitokotoCache.length }));
         } catch (error) {
-            console.warn('⚠️ 预加载语录失败,将使用本地文本', error);
+            console.warn(i18n.t('log.preloadFailed'), error);
         }
     }
 
     /**
-     * 从多个API源获取语录(带重试机制)
+     * 当前是否在线
      */
-    async fetchFromAPIs() {
-        // 尝试所有API源
-        for (let i = 0; i < this.apiSources.length; i++) {
-            const source = this.apiSources[this.currentApiIndex];
-            this.currentApiIndex = (this.currentApiIndex + 1) % this.apiSources.length;
+    isOnline() {
+        return navigator.onLine !== false;
+    }
 
-            if (!source.enabled) continue;
+    /**
+     * 在线状态标识(用于调试日志)
+     */
+    getNetworkBadge() {
+        return i18n.t(this.isOnline() ? 'network.online' : 'network.offline');
+    }
 
-            try {
-                let text = null;
-
-                if (source.name === 'hitokoto') {
-                    text = await this.fetchHitokoto();
-                } else if (source.name === 'jinrishici') {
-                    text = await this.fetchJinrishici();
-                } else if (source.name === 'local') {
-                    text = this.getLocalMessage();
-                }
+    /**
+     * 从离线缓存读取语录
+     */
+    async loadCachedQuotes() {
+        if (!this.quoteStore) return;
 
-                // 检查是否重复
-                if (text && !this.usedApiTexts.has(text)) {
-                    this.usedApiTexts.add(text);
-                    return text;
-                }
-            } catch (error) {
-                console.warn(`${source.name} API 失败:`, error);
-                continue;
-            }
+        try {
+            const quotes = await this.quoteStore.getAll();
+            // 早期缓存的语录没有语言,都来自中文语录源
+            this.cachedQuotes = quotes.map(quote => ({
+                text: quote.text,
+                attribution: quote.attribution || null,
+                language: quote.language || 'zh-CN'
+            }));
+            this.log(i18n.t('log.cacheLoaded', { count: this.cachedQuotes.length }));
+        } catch (error) {
+            console.warn(i18n.t('log.cacheLoadFailed'), error);
         }
+    }
 
-        return null;
+    /**
+     * 保存在线获取的语录到离线缓存
+     */
+    cacheQuote(quote) {
+        if (!this.quoteStore) return;
+
+        if (!this.cachedQuotes.some(cached => cached.text === quote.text)) {
+            this.cachedQuotes.push({ text: quote.text, attribution: quote.attribution, language: quote.language });
+        }
+        this.quoteStore.add(quote).catch(error => {
+            console.warn(i18n.t('log.cacheSaveFailed'), error);
+        });
     }
 
     /**
-     * 从一言API获取语录
+     * 从离线缓存中随机取一条当前语言、未使用的语录
+     * @returns {{text: string, attribution: string|null}|null}
      */
-    async fetchHitokoto() {
-        try {
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 2000); // 2秒超时
+    getCachedQuote() {
+        const available = this.cachedQuotes.filter(quote =>
+            this.isLanguageMatch(quote.language) && !this.usedApiTexts.has(NoteStore.displayText(quote))
+        );
+        if (available.length === 0) return null;
 
-            const response = await fetch('https://v1.hitokoto.cn/?c=a&c=b&c=d&c=h&c=i&c=k', {
-                signal: controller.signal
-            });
-            clearTimeout(timeoutId);
+        return available[Math.floor(this.random() * available.length)];
+    }
+
+    /**
+     * 加载语录源配置文件
+     * 带 url 的条目注册为自定义 JSON 语录源,否则视为对已有语录源的权重/超时/启用设置
+     */
+    async loadSourceConfig(url = 'data/sources.json') {
+        try {
+            const response = await fetch(this.baseUrl ? new URL(url, this.baseUrl).href : url);
+            if (!response.ok) return;
 
             const data = await response.json();
+            (data.sources || []).forEach(config => this.applySourceConfig(config));
+        } catch (error) {
+            console.warn(i18n.t('log.sourceConfigFailed'), error);
+        }
+    }
 
-            // 组合语录和来源
-            let text = data.hitokoto;
-            if (data.from && data.from !== '网络' && data.from.length < 15) {
-                text += `\n—— ${data.from}`;
+    /**
+     * 应用单条语录源配置
+     */
+    applySourceConfig(config) {
+        try {
+            if (config.url) {
+                this.providers.register(QuoteProviderRegistry.createJsonProvider(config));
+                this.log(i18n.t('log.sourceRegistered', { name: config.name }));
+            } else if (!this.providers.configure(config.name, config)) {
+                console.warn(i18n.t('log.unknownSource', { name: config.name }));
             }
-
-            return text;
         } catch (error) {
-            throw new Error('Hitokoto API 请求失败');
+            console.warn(i18n.t('log.invalidSourceConfig'), config, error);
         }
     }
 
     /**
-     * 从今日诗词API获取语录
+     * 从多个语录源获取语录(按权重顺序依次尝试)
+     * 离线时跳过网络语录源,改用离线缓存;在线时离线专用语录源不参与;内容语言与当前语言不同的语录源不参与
+     * @returns {Promise<{text: string, attribution: string|null, source: string, language: string|null}|null>}
      */
-    async fetchJinrishici() {
-        try {
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 2000);
+    async fetchFromAPIs() {
+        const online = this.isOnline();
+        const providers = this.providers.pickOrder().filter(provider =>
+            (online ? !provider.offlineOnly : !provider.network) && this.isLanguageMatch(provider.language)
+        );
 
-            const response = await fetch('https://v1.jinrishici.com/all.json', {
-                signal: controller.signal
-            });
-            clearTimeout(timeoutId);
+        for (const provider of providers) {
+            try {
+                const result = await this.fetchFromProvider(provider);
 
-            const data = await response.json();
+                // 检查是否重复
+                if (result && !this.usedApiTexts.has(NoteStore.displayText(result))) {
+                    this.usedApiTexts.add(NoteStore.displayText(result));
 
-            // 组合诗词内容和作者
-            let text = data.content;
-            if (data.author && data.author.length < 10) {
-                text += `\n—— ${data.author}`;
+                    const quote = { ...result, source: provider.name, language: provider.language || null };
+                    if (provider.network) {
+                        this.cacheQuote(quote);
+                    }
+                    return quote;
+                }
+            } catch (error) {
+                console.warn(i18n.t('log.sourceFailed', { name: provider.name }), error);
             }
+        }
 
-            return text;
-        } catch (error) {
-            throw new Error('今日诗词 API 请求失败');
+        return null;
+    }
+
+    /**
+     * 从单个语录源获取语录(带超时控制)
+     */
+    async fetchFromProvider(provider) {
+        const controller = new AbortController();
+        let timeoutId;
+
+        const timeout = new Promise((resolve, reject) => {
+            timeoutId = setTimeout(() => {
+                controller.abort();
+                reject(new Error(i18n.t('error.timeout', { timeout: provider.timeout })));
+            }, provider.timeout);
+        });
+
+        try {
+            const result = await Promise.race([
+                provider.fetch({ signal: controller.signal, generator: this }),
+                timeout
+            ]);
+            return this.formatQuote(result);
+        } finally {
+            clearTimeout(timeoutId);
         }
     }
 
     /**
-     * 从本地文本库获取
+     * 将语录源返回结果统一为语录(文字和出处分开保存)
+     * 语录源可以返回字符串,或 { text, from } / { text, attribution }
+     * @returns {{text: string, attribution: string|null}|null}
+     */
+    formatQuote(result) {
+        if (!result) return null;
+        if (typeof result === 'string') return { text: result, attribution: null };
+        if (typeof result.text !== 'string' || !result.text) return null;
+
+        const attribution = result.from || result.attribution;
+        return { text: result.text, attribution: typeof attribution === 'string' && attribution ? attribution : null };
+    }
+
+    /**
+     * 从本地文本库获取(只在选中的分类中挑选)
+     * @returns {{text: string, attribution: string|null}}
      */
     getLocalMessage() {
-        const availableMessages = this.messages.filter(
-            msg => !this.usedApiTexts.has(msg)
+        const messages = this.library.getActiveEntries().map(entry => MessageLibrary.toQuote(entry));
+        const availableMessages = messages.filter(
+            msg => !this.usedApiTexts.has(NoteStore.displayText(msg))
         );
 
         if (availableMessages.length === 0) {
             // 重置使用记录
             this.usedApiTexts.clear();
-            return this.messages[Math.floor(Math.random() * this.messages.length)];
+            return messages[Math.floor(this.random() * messages.length)];
         }
 
-        const randomIndex = Math.floor(Math.random() * availableMessages.length);
+        const randomIndex = Math.floor(this.random() * availableMessages.length);
         return availableMessages[randomIndex];
     }
 
     /**
      * 获取随机且未使用过的文字(优化版)
+     * @returns {Promise<{text: string, attribution: string|null, source: string}>}
      */
     async getRandomMessage() {
+        if (this.rng) {
+            return { ...this.getLocalMessage(), source: 'local' };
+        }
+
+        // 丢弃已停用的语录源预先获取的语录(控制面板开关、sources 参数)
+        this.hitokotoCache = this.hitokotoCache.filter(quote => {
+            const provider = this.providers.get(quote.source);
+            return !provider || provider.enabled;
+        });
+
         // 优先从缓存获取(即时返回,不等待)
         if (this.hitokotoCache.length > 0) {
-            const text = this.hitokotoCache.shift();
+            const quote = this.hitokotoCache.shift();
 
             // 异步补充缓存(不阻塞)
             if (this.hitokotoCache.length < 3) {
-                this.fetchFromAPIs().then(newText => {
-                    if (newText) {
-                        this.hitokotoCache.push(newText);
+                const language = this.language;
+                this.fetchFromAPIs().then(newQuote => {
+                    if (newQuote && this.language === language) {
+                        this.hitokotoCache.push(newQuote);
                     }
                 }).catch(() => {});
             }
 
-            return text;
+            return quote;
         }
 
-        // 缓存为空,直接使用本地文本(快速返回)
-        return this.getLocalMessage();
+        // 缓存为空时离线优先使用离线缓存,否则使用本地文本(快速返回)
+        if (!this.isOnline()) {
+            const quote = this.getCachedQuote();
+            if (quote) {
+                this.usedApiTexts.add(NoteStore.displayText(quote));
+                return { ...quote, source: 'cache' };
+            }
+        }
+
+        return { ...this.getLocalMessage(), source: 'local' };
+    }
+
+    /**
+     * 当前可用的便签颜色(没有主题管理器时使用全部内置颜色)
+     */
+    getPalette() {
+        return this.themes ? this.themes.getPalette() : Object.keys(ThemeManager.namedColors);
     }
 
     /**
-     * 获取随机颜色
+     * 从当前主题的配色中随机取一个颜色
      */
     getRandomColor() {
-        const randomIndex = Math.floor(Math.random() * this.colors.length);
-        return this.colors[randomIndex];
+        const palette = this.getPalette();
+        return palette[Math.floor(this.random() * palette.length)];
     }
 
     /**
-     * 计算文字适合的便签尺寸(优化版 - 防止溢出)
+     * 根据文字的实际测量结果计算便签尺寸(见 TextFitter.fit)
      */
     calculateNoteSize(text) {
-        const length = text.length;
-
-        // 统一尺寸,避免大小不一
-        let width = 100;
-        let height = 100;
-        let fontSize = 0.75;
-
-        // 根据文字长度微调
-        if (length > 50) {
-            // 超长文本
-            width = 130;
-            height = 120;
-            fontSize = 0.65;
-        } else if (length > 40) {
-            // 长文本稍大
-            width = 120;
-            height = 110;
-            fontSize = 0.68;
-        } else if (length > 25) {
-            // 中长文本
-            width = 115;
-            height = 108;
-            fontSize = 0.7;
-        } else if (length > 15) {
-            // 中等长度
-            width = 110;
-            height = 105;
-            fontSize = 0.72;
-        } else if (length < 8) {
-            // 短文本
-            width = 90;
-            height = 90;
-            fontSize = 0.8;
+        const { width, height, fontSize } = this.textFitter.fit(text);
+        return { width, height, fontSize };
+    }
+
+    /**
+     * 切换布局
+     * @returns {boolean} 布局是否存在
+     */
+    setLayout(name) {
+        if (!this.layouts.get(name)) {
+            console.warn(i18n.t('log.unknownLayout', { name }));
+            return false;
         }
 
-        return { width, height, fontSize };
+        this.layoutName = name;
+        this.saveState();
+        this.log(i18n.t('log.layout', { name }));
+        return true;
     }
 
     /**
-     * 计算爱心路径上的位置(响应式优化)
+     * 设置文字/图形布局的形状
+     * @param {string} value - 文字,或以 M 开头的 SVG path 数据
      */
-    getHeartPosition(index, totalNotes) {
-        const canvasRect = this.canvas.getBoundingClientRect();
-        const centerX = canvasRect.width / 2;
-        const centerY = canvasRect.height / 2;
-
-        // 爱心参数方程
-        const angle = (index / totalNotes) * Math.PI * 2;
-
-        // 响应式缩放 - 根据屏幕大小自动调整
-        const baseScale = Math.min(canvasRect.width, canvasRect.height);
-        let scale;
-
-        if (baseScale < 500) {
-            // 手机竖屏 - 更小的爱心
-            scale = baseScale * 0.025;
-        } else if (baseScale < 768) {
-            // 手机横屏/平板竖屏
-            scale = baseScale * 0.028;
-        } else if (baseScale < 1024) {
-            // 平板横屏
-            scale = baseScale * 0.032;
-        } else {
-            // 桌面
-            scale = baseScale * 0.035;
+    setShape(value) {
+        const type = ShapeSampler.isPathData(value) ? 'path' : 'text';
+        this.shapeSampler.setSource({ type, value: value.trim() });
+        this.saveState();
+        this.log(i18n.t('log.shape', { type, value: value.substring(0, 30) }));
+    }
+
+    /**
+     * 屏幕坐标转换为便签使用的世界坐标
+     */
+    clientToWorld(clientX, clientY) {
+        if (this.viewport) {
+            return this.viewport.screenToWorld(clientX, clientY);
         }
 
-        const t = angle;
-        const x = 16 * Math.pow(Math.sin(t), 3) * scale;
-        const y = -(13 * Math.cos(t) - 5 * Math.cos(2 * t) - 2 * Math.cos(3 * t) - Math.cos(4 * t)) * scale;
+        const canvasRect = this.canvas.getBoundingClientRect();
+        return { x: clientX - canvasRect.left, y: clientY - canvasRect.top };
+    }
+
+    /**
+     * 获取布局计算上下文
+     */
+    getLayoutContext(layout, size) {
+        const canvasRect = this.canvas.getBoundingClientRect();
+        const context = {
+            width: canvasRect.width,
+            height: canvasRect.height,
+            size,
+            generator: this
+        };
+        context.capacity = this.layouts.getCapacity(layout, context);
+        return context;
+    }
+
+    /**
+     * 获取当前布局的容量
+     */
+    getLayoutCapacity() {
+        const layout = this.layouts.get(this.layoutName);
+        return this.getLayoutContext(layout, { width: 100, height: 100 }).capacity;
+    }
+
+    /**
+     * 计算当前布局中第 index 个便签的位置(左上角坐标)
+     */
+    getLayoutPosition(index, size) {
+        const layout = this.layouts.get(this.layoutName);
+        const context = this.getLayoutContext(layout, size);
+        const center = layout.position(index, context);
 
         return {
-            x: centerX + x - 50,
-            y: centerY + y - 50
+            x: center.x - size.width / 2,
+            y: center.y - size.height / 2
         };
     }
 
@@ -322,11 +531,17 @@ class NoteGenerator {
         const maxAttempts = 30; // 减少尝试次数,提升性能
 
         while (attempts < maxAttempts) {
-            const x = padding + Math.random() * (canvasRect.width - noteWidth - padding * 2);
-            const y = padding + Math.random() * (canvasRect.height - noteHeight - padding * 2);
+            const x = padding + this.random() * (canvasRect.width - noteWidth - padding * 2);
+            const y = padding + this.random() * (canvasRect.height - noteHeight - padding * 2);
 
-            // 检查是否与现有便签重叠
-            const tooClose = this.notes.some(note => {
+            // 检查是否与附近的便签重叠
+            const nearby = this.queryNotes({
+                x: x - minDistance,
+                y: y - minDistance,
+                width: minDistance * 2,
+                height: minDistance * 2
+            });
+            const tooClose = nearby.some(note => {
                 const dx = note.x - x;
                 const dy = note.y - y;
                 const distance = Math.sqrt(dx * dx + dy * dy);
@@ -342,88 +557,549 @@ class NoteGenerator {
 
         // 如果尝试多次都找不到合适位置,返回完全随机的位置
         return {
-            x: padding + Math.random() * (canvasRect.width - noteWidth - padding * 2),
-            y: padding + Math.random() * (canvasRect.height - noteHeight - padding * 2)
+            x: padding + this.random() * (canvasRect.width - noteWidth - padding * 2),
+            y: padding + this.random() * (canvasRect.height - noteHeight - padding * 2)
         };
     }
 
     /**
-     * 生成一个新便签(优化版 - 爱心路径排列)
+     * 生成一个新便签(按当前布局排列)
+     * @param {{x: number, y: number}} [center] - 指定便签中心点(轮换模式原位替换旧便签),默认按布局计算
      */
-    async generateNote() {
-        const message = await this.getRandomMessage();
+    async generateNote(center = null) {
+        const quote = await this.getRandomMessage();
         const color = this.getRandomColor();
-        const size = this.calculateNoteSize(message);
+        const size = this.calculateNoteSize(NoteStore.displayText(quote));
 
-        // 使用爱心路径位置
-        const position = this.getHeartPosition(this.noteCount, 50); // 假设最多50个便签形成完整爱心
+        // 按当前布局计算位置
+        const position = center
+            ? { x: center.x - size.width / 2, y: center.y - size.height / 2 }
+            : this.getLayoutPosition(this.noteCount, size);
 
-        // 创建便签元素
-        const note = document.createElement('div');
-        note.className = `note ${color}`;
-        note.textContent = message;
-        note.style.left = `${position.x}px`;
-        note.style.top = `${position.y}px`;
-        note.style.width = `${size.width}px`;
-        note.style.height = `${size.height}px`;
-        note.style.fontSize = `${size.fontSize}rem`;
-        note.style.setProperty('--note-index', this.noteCount); // 设置递增的z-index
-
-        // 添加唯一ID
-        note.dataset.id = `note-${Date.now()}-${Math.random()}`;
-
-        // 记录便签信息
-        this.notes.push({
+        const note = this.addNote({
+            id: this.createNoteId(), // 唯一ID
+            text: quote.text,
+            attribution: quote.attribution, // 出处(作者/作品)
+            color,
+            source: quote.source, // 语录来源(自动生成的便签)
             x: position.x,
             y: position.y,
-            element: note
+            width: size.width,
+            height: size.height,
+            fontSize: size.fontSize,
+            rotation: 0, // 旋转角度(度)
+            scale: 1, // 缩放倍数
+            z: this.store.nextZ(), // 层叠顺序
+            pinned: false, // 置顶的便签不会被数量上限、过期或轮换移除
+            createdAt: Date.now()
+        });
+
+        this.log(i18n.t('log.noteGenerated', {
+            count: this.noteCount,
+            network: this.getNetworkBadge(),
+            source: quote.source,
+            text: quote.text.substring(0, 15),
+            color
+        }));
+
+        return note;
+    }
+
+    /**
+     * 在指定画布坐标处创建用户手写便签
+     * 手写便签单独标记来源,不会进入语录去重和随机取词
+     * @param {Object} [options] - { color, pinned },未指定颜色时从配色中随机选取
+     */
+    createUserNote(text, x, y, options = {}) {
+        return this.addNote(this.createUserRecord(text, x, y, options));
+    }
+
+    /**
+     * 用户手写便签的记录(不加入便签墙,新建便签编辑完成前的草稿使用)
+     * @param {number} x - 中心点世界坐标
+     * @param {number} y
+     */
+    createUserRecord(text, x, y, options = {}) {
+        const color = options.color || this.getRandomColor();
+        const size = this.calculateNoteSize(text);
+
+        return {
+            id: this.createNoteId(),
+            text,
+            attribution: null,
+            color,
+            source: 'user', // 用户手写的便签
+            x: x - size.width / 2,
+            y: y - size.height / 2,
+            width: size.width,
+            height: size.height,
+            fontSize: size.fontSize,
+            rotation: 0,
+            scale: 1,
+            z: this.store.nextZ(),
+            pinned: Boolean(options.pinned),
+            createdAt: Date.now()
+        };
+    }
+
+    /**
+     * 添加便签记录(由 onStoreChange 渲染)
+     * @param {number} at - 插入到便签列表中的位置(撤销删除时恢复原位置),默认追加到末尾
+     * @returns {HTMLElement} 便签元素
+     */
+    addNote(record, at = this.notes.length) {
+        const added = this.store.add(record, at);
+        this.saveState();
+        this.emit('notecreated', { note: this.toRecord(added) });
+
+        return this.getElement(added.id);
+    }
+
+    /**
+     * 全部便签记录(按添加顺序,只读)
+     */
+    get notes() {
+        return this.store.all();
+    }
+
+    /**
+     * 便签数量
+     */
+    get noteCount() {
+        return this.store.count;
+    }
+
+    /**
+     * 按记录更新DOM: 便签记录变化后由 NoteStore 回调,DOM 只从记录派生
+     */
+    onStoreChange(type, records) {
+        if (type === 'clear' || type === 'remove') {
+            records.forEach(record => {
+                const element = this.elements.get(record.id);
+                if (element) {
+                    element.remove();
+                }
+                this.elements.delete(record.id);
+                this.index.remove(record.id);
+            });
+            return;
+        }
+
+        if (type === 'update') {
+            records.forEach(record => {
+                this.renderNote(this.elements.get(record.id), record);
+                this.trackNote(record);
+            });
+            return;
+        }
+
+        // add / load
+        const fragment = document.createDocumentFragment();
+        records.forEach(record => {
+            const element = this.createNoteElement(record);
+            this.elements.set(record.id, element);
+            this.trackNote(record);
+            fragment.appendChild(element);
         });
+        this.container.appendChild(fragment);
+    }
+
+    /**
+     * 便签对应的DOM元素
+     */
+    getElement(id) {
+        return this.elements.get(id) || null;
+    }
+
+    /**
+     * 根据便签记录创建DOM元素
+     */
+    createNoteElement(record) {
+        const note = document.createElement('div');
+        note.className = 'note';
+        note.dataset.id = record.id;
+        note.tabIndex = -1; // 键盘焦点由 NoteKeyboard 管理(roving tabindex)
+        note.setAttribute('role', 'group');
 
-        // 添加到画布
-        this.canvas.appendChild(note);
-        this.noteCount++;
+        const textEl = document.createElement('span');
+        textEl.className = 'note-text';
+        note.appendChild(textEl);
 
-        this.log(`📝 生成便签 #${this.noteCount}: "${message.substring(0, 15)}..." (${color})`);
+        // 删除按钮(悬停时显示)
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'note-delete';
+        deleteBtn.dataset.i18nTitle = 'note.delete';
+        deleteBtn.tabIndex = -1; // 便签内的按钮不参与 Tab 顺序,键盘操作见 NoteKeyboard
+        deleteBtn.textContent = '×';
+        note.appendChild(deleteBtn);
 
+        // 置顶按钮(悬停时显示,置顶后常显)
+        const pinBtn = document.createElement('button');
+        pinBtn.className = 'note-pin';
+        pinBtn.dataset.i18nTitle = 'note.pin';
+        pinBtn.tabIndex = -1;
+        pinBtn.textContent = '📌';
+        note.appendChild(pinBtn);
+
+        // 查看全文按钮(文字显示不全时显示)
+        const moreBtn = document.createElement('button');
+        moreBtn.className = 'note-more';
+        moreBtn.dataset.i18nTitle = 'note.more';
+        moreBtn.tabIndex = -1;
+        moreBtn.textContent = '⋯';
+        note.appendChild(moreBtn);
+
+        i18n.translate(note); // 按钮的提示和读屏标签,切换语言时随便签墙一起重新翻译
+        this.renderNote(note, record);
         return note;
     }
 
+    /**
+     * 把便签记录应用到DOM元素(颜色、文字、尺寸、位置和层叠顺序)
+     * 交互状态的类名(selected、editing、culled 等)不受影响
+     */
+    renderNote(noteElement, record) {
+        if (noteElement.dataset.color !== record.color) {
+            noteElement.classList.remove(noteElement.dataset.color);
+            noteElement.classList.add(record.color);
+            noteElement.dataset.color = record.color;
+            if (this.themes) {
+                this.themes.ensureColor(record.color); // 自定义颜色的样式按需生成
+            }
+        }
+        noteElement.classList.toggle('pinned', Boolean(record.pinned));
+        noteElement.querySelector('.note-pin').setAttribute('aria-pressed', String(Boolean(record.pinned)));
+        noteElement.classList.toggle('always-on-top', Boolean(record.alwaysOnTop));
+
+        const textEl = noteElement.querySelector('.note-text');
+        if (!noteElement.classList.contains('editing')) {
+            textEl.textContent = NoteStore.displayText(record);
+        }
+        this.labelNote(noteElement, record);
+
+        this.applyNoteTransform(noteElement, record);
+        noteElement.style.width = `${record.width}px`;
+        noteElement.style.height = `${record.height}px`;
+        noteElement.style.fontSize = `${record.fontSize}rem`;
+        noteElement.style.setProperty('--note-index', record.z); // 层叠顺序
+        this.applyTextFit(noteElement, record);
+    }
+
+    /**
+     * 便签的读屏标签(切换语言时重新设置)
+     */
+    labelNote(noteElement, record) {
+        noteElement.setAttribute('aria-roledescription', i18n.t('note.role'));
+        noteElement.setAttribute('aria-label', NoteStore.displayText(record) + (record.pinned ? i18n.t('note.pinnedSuffix') : ''));
+    }
+
+    /**
+     * 切换语言后重新设置所有便签的读屏标签(按钮由 i18n.translate 随便签墙一起翻译)
+     */
+    relabelNotes() {
+        this.notes.forEach(record => {
+            const element = this.getElement(record.id);
+            if (element) {
+                this.labelNote(element, record);
+            }
+        });
+    }
+
+    /**
+     * 按便签尺寸限制显示行数,显示不全时标记截断(样式显示省略号,悬停显示全文)
+     */
+    applyTextFit(noteElement, record) {
+        const text = NoteStore.displayText(record);
+        const truncated = this.textFitter.isTruncated(text, record.width, record.height, record.fontSize);
+
+        noteElement.classList.toggle('truncated', truncated);
+        noteElement.style.setProperty('--note-lines', this.textFitter.getMaxLines(record.height, record.fontSize));
+        noteElement.title = truncated ? text : '';
+    }
+
+    /**
+     * 把位置、旋转和缩放应用到便签元素(旋转和缩放以便签中心为原点)
+     * 拖拽过程中直接调用,松手后再写入记录
+     */
+    applyNoteTransform(noteElement, { x, y, rotation = 0, scale = 1 }) {
+        noteElement.style.left = `${x}px`;
+        noteElement.style.top = `${y}px`;
+        noteElement.style.rotate = rotation ? `${rotation}deg` : '';
+        noteElement.style.scale = scale !== 1 ? `${scale}` : '';
+    }
+
+    /**
+     * 便签旋转、缩放后的包围盒(世界坐标)
+     */
+    getNoteBounds(note) {
+        const scale = note.scale || 1;
+        const radians = (note.rotation || 0) * Math.PI / 180;
+        const cos = Math.abs(Math.cos(radians));
+        const sin = Math.abs(Math.sin(radians));
+        const width = (note.width * cos + note.height * sin) * scale;
+        const height = (note.width * sin + note.height * cos) * scale;
+
+        return {
+            x: note.x + (note.width - width) / 2,
+            y: note.y + (note.height - height) / 2,
+            width,
+            height
+        };
+    }
+
+    /**
+     * 便签记录的副本(事件、保存和快照使用,修改副本不影响便签)
+     */
+    toRecord(note) {
+        return NoteStore.copy(note);
+    }
+
+    /**
+     * 记录便签到空间索引(位置或尺寸变化后也需调用)
+     */
+    trackNote(record) {
+        this.index.insert(record.id, this.getNoteBounds(record));
+    }
+
+    /**
+     * 根据元素查找便签记录
+     */
+    getNoteInfo(noteElement) {
+        const id = noteElement.dataset.id;
+        return this.elements.get(id) === noteElement ? this.store.get(id) : null;
+    }
+
+    /**
+     * 查找与矩形(世界坐标)相交的便签
+     */
+    queryNotes(rect) {
+        return this.index.query(rect).map(id => this.store.get(id));
+    }
+
+    /**
+     * 保存便签墙状态到存储
+     * 批量操作(恢复上千个便签、撤销清空等)会在同一轮事件中多次调用,合并为一次写入
+     */
+    saveState() {
+        this.onChange();
+        if (!this.storage || this.saveScheduled) return;
+
+        this.saveScheduled = true;
+        queueMicrotask(() => {
+            this.saveScheduled = false;
+            this.writeState();
+        });
+    }
+
+    /**
+     * 立即写入存储
+     */
+    writeState() {
+        this.storage.save({
+            layout: this.layoutName,
+            shape: this.shapeSampler.source,
+            notes: this.notes.map(note => this.toRecord(note))
+        });
+    }
+
+    /**
+     * 从存储恢复便签墙
+     * @returns {HTMLElement[]} 恢复的便签元素,需由调用方绑定交互
+     */
+    restoreNotes() {
+        const state = this.storage ? this.storage.load() : null;
+        if (!state) return [];
+
+        if (state.layout && this.layouts.get(state.layout)) {
+            this.layoutName = state.layout;
+        }
+        if (state.shape) {
+            this.shapeSampler.setSource(state.shape);
+        }
+
+        const records = this.store.load(state.notes);
+        this.onChange();
+        this.log(i18n.t('log.restored', { count: records.length }));
+
+        return records.map(record => this.getElement(record.id));
+    }
+
     /**
      * 清空所有便签
      */
     clearAll() {
-        while (this.canvas.firstChild) {
-            this.canvas.removeChild(this.canvas.firstChild);
-        }
-        this.notes = [];
-        this.noteCount = 0;
-        this.usedMessages.clear();
-        this.log('🗑️ 已清空所有便签');
+        const removed = this.store.clear().map(record => this.toRecord(record));
+
+        this.saveState();
+        removed.forEach(record => this.emit('noteremoved', { note: record }));
+        this.log(i18n.t('log.cleared'));
     }
 
     /**
      * 移除指定便签
+     * @param {Object} [options] - { expired: 由生命周期策略淘汰 }
+     * @returns {{record: Object, at: number}|null} 被移除便签的记录及其在列表中的位置
      */
-    removeNote(noteElement) {
-        const index = this.notes.findIndex(note => note.element === noteElement);
-        if (index !== -1) {
-            this.notes.splice(index, 1);
-            noteElement.remove();
-            this.noteCount--;
+    removeNote(noteElement, { expired = false } = {}) {
+        if (!this.getNoteInfo(noteElement)) return null;
+
+        const { record, at } = this.store.remove(noteElement.dataset.id);
+        this.saveState();
+
+        const copy = this.toRecord(record);
+        this.emit('noteremoved', { note: copy, expired });
+        return { record: copy, at };
+    }
+
+    /**
+     * 按ID查找便签
+     */
+    findNote(id) {
+        return this.store.get(id);
+    }
+
+    /**
+     * 将多个便签移动到指定位置(撤销/重做、对齐分布时使用)
+     * @param {Array<{id: string, x: number, y: number, rotation?: number, scale?: number}>} moves
+     */
+    moveNotes(moves) {
+        this.updateNotePositions(moves.map(({ id, ...transform }) => ({ element: this.getElement(id), ...transform }))
+            .filter(update => update.element));
+    }
+
+    /**
+     * 批量更新便签的位置、旋转和缩放(拖拽、双指手势结束后),只保存一次
+     * @param {Array<{element: HTMLElement, x: number, y: number, rotation?: number, scale?: number}>} updates
+     */
+    updateNotePositions(updates) {
+        const moved = [];
+
+        updates.forEach(({ element, ...transform }) => {
+            const record = this.getNoteInfo(element);
+            if (!record) return;
+
+            const changes = {};
+            ['x', 'y', 'rotation', 'scale'].forEach(key => {
+                if (transform[key] !== undefined) {
+                    changes[key] = transform[key];
+                }
+            });
+            moved.push(this.store.update(record.id, changes));
+        });
+
+        if (moved.length > 0) {
+            this.saveState();
+            this.emit('notemoved', { notes: moved.map(note => this.toRecord(note)) });
         }
     }
 
     /**
-     * 更新便签位置(拖拽后)
+     * 置顶/取消置顶便签
+     */
+    setNotePinned(noteElement, pinned) {
+        const record = this.getNoteInfo(noteElement);
+        if (!record) return;
+
+        this.store.update(record.id, { pinned });
+        this.saveState();
+        this.emit('noteupdated', { note: this.toRecord(record) });
+        this.log(i18n.t(pinned ? 'log.pinned' : 'log.unpinned', { text: record.text.substring(0, 15) }));
+    }
+
+    /**
+     * 按层叠顺序排列的便签(从下到上): 总在最上层的便签在普通便签之上,同一层内按 z 排列
+     */
+    getStackOrder() {
+        return [...this.notes].sort((a, b) => (a.alwaysOnTop - b.alwaysOnTop) || (a.z - b.z));
+    }
+
+    /**
+     * 批量修改便签的层叠顺序和层,只保存一次(撤销/重做、同步时使用)
+     * @param {Array<{id: string, z?: number, alwaysOnTop?: boolean}>} layers
      */
-    updateNotePosition(noteElement, x, y) {
-        const index = this.notes.findIndex(note => note.element === noteElement);
-        if (index !== -1) {
-            this.notes[index].x = x;
-            this.notes[index].y = y;
+    setNoteLayers(layers) {
+        const changed = [];
+
+        layers.forEach(({ id, z, alwaysOnTop }) => {
+            const record = this.findNote(id);
+            if (!record) return;
+
+            const changes = {};
+            if (Number.isFinite(z) && z !== record.z) {
+                changes.z = z;
+            }
+            if (typeof alwaysOnTop === 'boolean' && alwaysOnTop !== record.alwaysOnTop) {
+                changes.alwaysOnTop = alwaysOnTop;
+            }
+            if (Object.keys(changes).length > 0) {
+                changed.push(this.store.update(id, changes));
+            }
+        });
+
+        if (changed.length > 0) {
+            this.saveState();
+            this.emit('notereordered', { notes: changed.map(note => this.toRecord(note)) });
         }
     }
 
+    /**
+     * 移到最前(多个便签保持彼此的先后)
+     * @returns {boolean} 是否有变化
+     */
+    bringToFront(ids) {
+        const notes = this.findNotesByZ(ids);
+        const others = this.notes.filter(note => !ids.includes(note.id));
+        const top = others.reduce((max, note) => Math.max(max, note.z), -Infinity);
+        if (notes.length === 0 || notes.every(note => note.z > top)) return false;
+
+        const start = this.store.nextZ();
+        this.setNoteLayers(notes.map((note, i) => ({ id: note.id, z: start + i })));
+        return true;
+    }
+
+    /**
+     * 移到最后(多个便签保持彼此的先后)
+     * @returns {boolean} 是否有变化
+     */
+    sendToBack(ids) {
+        const notes = this.findNotesByZ(ids);
+        const others = this.notes.filter(note => !ids.includes(note.id));
+        const bottom = others.reduce((min, note) => Math.min(min, note.z), Infinity);
+        if (notes.length === 0 || notes.every(note => note.z < bottom)) return false;
+
+        const start = Math.min(bottom, ...notes.map(note => note.z)) - notes.length;
+        this.setNoteLayers(notes.map((note, i) => ({ id: note.id, z: start + i })));
+        return true;
+    }
+
+    /**
+     * 设置/取消总在最上层
+     */
+    setAlwaysOnTop(ids, alwaysOnTop) {
+        this.setNoteLayers(ids.map(id => ({ id, alwaysOnTop })));
+        this.log(i18n.t(alwaysOnTop ? 'log.onTop' : 'log.offTop', { count: ids.length }));
+    }
+
+    /**
+     * 按 z 从下到上排列的便签记录(忽略不存在的 id)
+     */
+    findNotesByZ(ids) {
+        return ids.map(id => this.findNote(id)).filter(Boolean).sort((a, b) => a.z - b.z);
+    }
+
+    /**
+     * 更新便签文字(编辑后),并按新文字重新计算尺寸(出处保持不变)
+     */
+    updateNoteText(noteElement, text) {
+        const record = this.getNoteInfo(noteElement);
+        if (!record) return;
+
+        const size = this.calculateNoteSize(NoteStore.displayText({ text, attribution: record.attribution }));
+        this.store.update(record.id, { text, ...size });
+        this.saveState();
+        this.emit('noteupdated', { note: this.toRecord(record) });
+    }
+
     /**
      * 获取当前便签数量
      */
@@ -0,0 +1,188 @@
+/**
+ * 便签键盘操作模块
+ * 便签使用 roving tabindex: 整面便签墙只有一个便签在 Tab 顺序中,Tab 进入便签墙后用按键切换和操作便签
+ *   方向键: 移动便签(Shift 大步移动),选中的便签整组移动,松开按键后记为一次操作
+ *   PageUp / PageDown: 上一个/下一个便签,Home / End: 第一个/最后一个便签
+ *   Delete / Backspace: 删除便签,Enter / F2: 编辑文字,Shift+F10 / 菜单键: 打开右键菜单
+ */
+
+class NoteKeyboard {
+    /**
+     * @param {NoteGenerator} generator
+     * @param {Object} options - { selection, onMove(moves, label), onDelete(noteElement), onEdit(noteElement), onMenu(noteElement), onReveal(noteInfo) }
+     */
+    constructor(generator, options = {}) {
+        this.generator = generator;
+        this.selection = options.selection || null; // 多选管理器(SelectionManager)
+        this.onMove = options.onMove || (() => {}); // 移动结束回调(moves, label),用于记录撤销历史
+        this.onDelete = options.onDelete || (() => {}); // 删除便签
+        this.onEdit = options.onEdit || (() => {}); // 编辑便签文字
+        this.onMenu = options.onMenu || (() => {}); // 打开右键菜单
+        this.onReveal = options.onReveal || (() => {}); // 便签不在可见区域时移入视口
+        this.step = 10; // 方向键每次移动的距离(世界坐标)
+        this.largeStep = 50; // 按住 Shift 时的移动距离
+        this.currentId = null; // 在 Tab 顺序中的便签
+        this.moving = null; // 按住方向键移动中的便签: id -> 起始位置
+    }
+
+    /**
+     * 在画布上委托键盘和焦点事件
+     */
+    bind(canvas) {
+        canvas.addEventListener('keydown', (e) => {
+            if (e.target.classList.contains('note')) {
+                this.onKeyDown(e, e.target);
+            }
+        });
+        canvas.addEventListener('keyup', (e) => {
+            if (e.key.startsWith('Arrow')) {
+                this.finishMove();
+            }
+        });
+        canvas.addEventListener('focusin', (e) => {
+            if (e.target.classList.contains('note')) {
+                this.setCurrent(e.target);
+            }
+        });
+        canvas.addEventListener('focusout', () => this.finishMove());
+    }
+
+    /**
+     * 便签增删后保证有且只有一个便签在 Tab 顺序中
+     */
+    sync() {
+        if (this.currentId && this.generator.getElement(this.currentId)) return;
+
+        const [first] = this.generator.notes;
+        this.currentId = null;
+        if (first) {
+            this.setCurrent(this.generator.getElement(first.id));
+        }
+    }
+
+    setCurrent(noteElement) {
+        const previous = this.currentId ? this.generator.getElement(this.currentId) : null;
+        if (previous && previous !== noteElement) {
+            previous.tabIndex = -1;
+        }
+        noteElement.tabIndex = 0;
+        this.currentId = noteElement.dataset.id;
+    }
+
+    /**
+     * 聚焦便签(被视口剔除的便签先移入视口)
+     */
+    focusNote(id) {
+        const noteInfo = this.generator.findNote(id);
+        const element = this.generator.getElement(id);
+        if (!noteInfo || !element) return;
+
+        if (element.classList.contains('culled')) {
+            this.onReveal(noteInfo);
+        }
+        this.setCurrent(element);
+        element.focus();
+    }
+
+    onKeyDown(e, noteElement) {
+        const id = noteElement.dataset.id;
+        const notes = this.generator.notes;
+        const index = this.generator.store.indexOf(id);
+
+        switch (e.key) {
+            case 'ArrowLeft':
+            case 'ArrowRight':
+            case 'ArrowUp':
+            case 'ArrowDown':
+                this.move(noteElement, e.key, e.shiftKey ? this.largeStep : this.step);
+                break;
+            case 'PageUp':
+            case 'PageDown': {
+                const next = notes[index + (e.key === 'PageDown' ? 1 : -1)];
+                if (next) {
+                    this.focusNote(next.id);
+                }
+                break;
+            }
+            case 'Home':
+            case 'End':
+                if (notes.length > 0) {
+                    this.focusNote(notes[e.key === 'Home' ? 0 : notes.length - 1].id);
+                }
+                break;
+            case 'Delete':
+            case 'Backspace': {
+                const neighbor = notes[index + 1] || notes[index - 1];
+                this.onDelete(noteElement);
+                if (neighbor) {
+                    this.focusNote(neighbor.id);
+                }
+                break;
+            }
+            case 'Enter':
+            case 'F2':
+                this.onEdit(noteElement);
+                break;
+            case 'ContextMenu':
+                this.onMenu(noteElement);
+                break;
+            case 'F10':
+                if (!e.shiftKey) return;
+                this.onMenu(noteElement);
+                break;
+            default:
+                return;
+        }
+        e.preventDefault();
+    }
+
+    /**
+     * 方向键移动便签(选中的便签整组移动),并保持便签在可见区域内
+     */
+    move(noteElement, key, distance) {
+        const ids = this.selection && this.selection.isSelected(noteElement)
+            ? this.selection.getSelectedNotes().map(note => note.id)
+            : [noteElement.dataset.id];
+        const dx = key === 'ArrowLeft' ? -distance : key === 'ArrowRight' ? distance : 0;
+        const dy = key === 'ArrowUp' ? -distance : key === 'ArrowDown' ? distance : 0;
+
+        if (!this.moving) {
+            this.moving = new Map();
+        }
+        const moves = ids.map(id => this.generator.findNote(id)).filter(Boolean).map(note => {
+            if (!this.moving.has(note.id)) {
+                this.moving.set(note.id, { x: note.x, y: note.y });
+            }
+            return { id: note.id, x: note.x + dx, y: note.y + dy };
+        });
+        this.generator.moveNotes(moves);
+
+        const visible = this.generator.viewport ? this.generator.viewport.getVisibleRect() : null;
+        const noteInfo = this.generator.getNoteInfo(noteElement);
+        const bounds = this.generator.getNoteBounds(noteInfo);
+        if (visible && (bounds.x < visible.x || bounds.y < visible.y ||
+            bounds.x + bounds.width > visible.x + visible.width || bounds.y + bounds.height > visible.y + visible.height)) {
+            this.onReveal(noteInfo);
+        }
+    }
+
+    /**
+     * 松开方向键或离开便签时,把这次移动记为一次操作
+     */
+    finishMove() {
+        if (!this.moving) return;
+
+        const moves = [...this.moving].map(([id, from]) => {
+            const note = this.generator.findNote(id);
+            return note ? { id, from, to: { x: note.x, y: note.y } } : null;
+        }).filter(move => move && (move.from.x !== move.to.x || move.from.y !== move.to.y));
+        this.moving = null;
+
+        if (moves.length > 0) {
+            this.onMove(moves, i18n.t('history.move'));
+        }
+    }
+}
+
+// 导出为全局变量
+window.NoteKeyboard = NoteKeyboard;
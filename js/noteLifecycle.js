@@ -0,0 +1,187 @@
+/**
+ * 便签生命周期模块
+ * 常驻展示时控制便签数量: 数量上限(超出时最旧的便签淡出)、存活时间、轮换模式(排满布局后新便签原位替换最旧的便签)
+ * 置顶的便签、正在编辑或拖动的便签不受影响
+ * 只有新建便签时按数量上限淘汰;撤销、重做和加载快照恢复的便签不触发淘汰,存活时间从恢复时重新计算(createdAt 重置)
+ */
+
+class NoteLifecycle {
+    constructor(generator, options = {}) {
+        this.generator = generator;
+        this.onRemove = options.onRemove || (() => {}); // 便签淡出并移除后回调(noteElement)
+        this.storageKey = options.storageKey === undefined ? 'notePolicy' : options.storageKey; // 为 null 时不持久化
+        this.maxNotes = 0; // 未置顶便签的数量上限,0 为不限
+        this.ttl = 0; // 便签存活时间(秒),0 为不过期
+        this.rotate = false; // 轮换模式
+        this.fadeDuration = 600; // 淡出时长(ms),与样式表中 .note.expiring 一致
+        this.checkInterval = 1000; // 检查过期的间隔(ms)
+        this.expiringIds = new Set(); // 正在淡出的便签
+        this.timer = null;
+    }
+
+    /**
+     * 读取保存的策略并开始检查过期
+     */
+    init() {
+        this.load();
+        this.start();
+    }
+
+    load() {
+        if (!this.storageKey) return;
+
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            if (saved) {
+                this.configure(saved, false);
+            }
+        } catch (error) {
+            console.error(i18n.t('log.policyLoadFailed'), error);
+        }
+    }
+
+    save() {
+        if (!this.storageKey) return;
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.getPolicy()));
+        } catch (error) {
+            console.error(i18n.t('log.policySaveFailed'), error);
+        }
+    }
+
+    /**
+     * 当前策略
+     */
+    getPolicy() {
+        return { maxNotes: this.maxNotes, ttl: this.ttl, rotate: this.rotate };
+    }
+
+    /**
+     * 修改策略(只修改传入的字段),立即按新策略清理便签
+     */
+    configure(policy, persist = true) {
+        if (Number.isFinite(policy.maxNotes)) {
+            this.maxNotes = Math.max(0, Math.floor(policy.maxNotes));
+        }
+        if (Number.isFinite(policy.ttl)) {
+            this.ttl = Math.max(0, policy.ttl);
+        }
+        if (typeof policy.rotate === 'boolean') {
+            this.rotate = policy.rotate;
+        }
+
+        if (persist) {
+            this.save();
+        }
+        this.enforce();
+        this.checkExpiry();
+    }
+
+    /**
+     * 开始定时检查过期便签(暂停生成时也会过期)
+     */
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => this.checkExpiry(), this.checkInterval);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * 可被淘汰的便签,最旧的在前
+     */
+    getCandidates() {
+        return this.generator.notes
+            .filter(note => {
+                const element = this.generator.getElement(note.id);
+                return !note.pinned && !this.expiringIds.has(note.id) &&
+                    !element.classList.contains('editing') && !element.classList.contains('dragging');
+            })
+            .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+    }
+
+    /**
+     * 不在淡出中的便签数量(正在淡出的便签已被淘汰)
+     */
+    getActiveCount() {
+        return this.generator.notes.filter(note => !this.expiringIds.has(note.id)).length;
+    }
+
+    /**
+     * 未置顶便签的数量上限(轮换模式未设置上限时为当前布局的容量),0 为不限
+     */
+    getLimit() {
+        if (this.rotate && !this.maxNotes) {
+            return this.generator.getLayoutCapacity();
+        }
+        return this.maxNotes;
+    }
+
+    /**
+     * 轮换模式下,已排满时取出最旧的便签并开始淡出,新便签放在它的位置
+     * @returns {{x: number, y: number}|null} 被替换便签的中心点(世界坐标),不需要替换时为 null
+     */
+    takeRotationSlot() {
+        const limit = this.getLimit();
+        if (!this.rotate || !limit) return null;
+
+        const candidates = this.getCandidates();
+        if (candidates.length < limit) return null;
+
+        const oldest = candidates[0];
+        this.expire(oldest);
+        return { x: oldest.x + oldest.width / 2, y: oldest.y + oldest.height / 2 };
+    }
+
+    /**
+     * 超出数量上限时淡出最旧的便签
+     */
+    enforce() {
+        const limit = this.getLimit();
+        if (!limit) return;
+
+        const candidates = this.getCandidates();
+        candidates.slice(0, Math.max(0, candidates.length - limit)).forEach(note => this.expire(note));
+    }
+
+    /**
+     * 淡出超过存活时间的便签
+     */
+    checkExpiry() {
+        if (!this.ttl) return;
+
+        const deadline = Date.now() - this.ttl * 1000;
+        this.getCandidates()
+            .filter(note => (note.createdAt || 0) <= deadline)
+            .forEach(note => this.expire(note));
+    }
+
+    /**
+     * 淡出并移除便签
+     */
+    expire(noteInfo) {
+        const element = this.generator.getElement(noteInfo.id);
+        this.expiringIds.add(noteInfo.id);
+        element.classList.add('expiring');
+
+        setTimeout(() => {
+            this.expiringIds.delete(noteInfo.id);
+
+            // 淡出期间可能已被删除或清空
+            if (this.generator.getNoteInfo(element) !== noteInfo) return;
+
+            this.generator.removeNote(element, { expired: true });
+            this.onRemove(element);
+        }, this.fadeDuration);
+
+        this.generator.log(i18n.t('log.noteExpired', { text: noteInfo.text.substring(0, 15) }));
+    }
+}
+
+// 导出为全局变量
+window.NoteLifecycle = NoteLifecycle;
@@ -0,0 +1,120 @@
+/**
+ * 便签右键菜单
+ * 在便签上右键(或聚焦便签后按 Shift+F10)打开,调整层叠顺序: 移到最前、移到最后、总在最上层
+ * 右键已选中的便签时作用于整组,否则只作用于该便签
+ */
+
+class NoteMenu {
+    /**
+     * @param {NoteGenerator} generator
+     * @param {HTMLElement} menu - 菜单元素(WallTemplate 中的 noteMenu)
+     * @param {Object} options - { selection: 多选管理器, onAction(action, ids) }
+     */
+    constructor(generator, menu, options = {}) {
+        this.generator = generator;
+        this.menu = menu;
+        this.selection = options.selection || null;
+        this.onAction = options.onAction || (() => {}); // 选择菜单项后回调: front / back / on-top
+        this.onTopBtn = menu.querySelector('[data-action="on-top"]');
+        this.ids = []; // 菜单作用的便签
+        this.noteElement = null; // 打开菜单的便签(关闭后焦点回到这里)
+    }
+
+    /**
+     * 绑定打开/关闭事件
+     * @param {AbortSignal} [signal] - 中止时移除文档上的监听
+     */
+    bind(canvas, signal) {
+        canvas.addEventListener('contextmenu', (e) => {
+            const noteElement = e.target.closest('.note');
+            if (!noteElement || noteElement.classList.contains('editing')) return;
+
+            e.preventDefault();
+            this.open(noteElement, e.clientX, e.clientY);
+        });
+
+        this.menu.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-action]');
+            if (!btn) return;
+
+            const ids = this.ids;
+            this.close();
+            this.onAction(btn.dataset.action, ids);
+        });
+
+        // 上下方向键在菜单项之间切换
+        this.menu.addEventListener('keydown', (e) => {
+            if (e.key !== 'ArrowDown' && e.key !== 'ArrowUp') return;
+
+            e.preventDefault();
+            const items = [...this.menu.querySelectorAll('[data-action]')];
+            const index = items.indexOf(document.activeElement) + (e.key === 'ArrowDown' ? 1 : -1);
+            items[(index + items.length) % items.length].focus();
+        });
+
+        // 点击菜单以外的位置、按 Esc 或缩放画布时关闭
+        document.addEventListener('pointerdown', (e) => {
+            if (this.isOpen() && !this.menu.contains(e.target)) {
+                this.close();
+            }
+        }, { signal });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen()) {
+                this.close();
+            }
+        }, { signal });
+        canvas.addEventListener('wheel', () => this.close(), { passive: true });
+    }
+
+    /**
+     * 这些便签是否都已总在最上层(菜单项切换为"取消")
+     */
+    static allOnTop(generator, ids) {
+        return ids.every(id => {
+            const note = generator.findNote(id);
+            return note && note.alwaysOnTop;
+        });
+    }
+
+    isOpen() {
+        return !this.menu.hidden;
+    }
+
+    /**
+     * 在指针位置打开菜单
+     */
+    open(noteElement, clientX, clientY) {
+        const id = noteElement.dataset.id;
+        this.noteElement = noteElement;
+        this.ids = this.selection && this.selection.isSelected(noteElement)
+            ? this.selection.getSelectedNotes().map(note => note.id)
+            : [id];
+
+        this.onTopBtn.textContent = i18n.t(NoteMenu.allOnTop(this.generator, this.ids) ? 'menu.offTop' : 'menu.onTop');
+
+        // 菜单相对便签墙定位,不超出便签墙边缘
+        this.menu.hidden = false;
+        const wall = this.menu.parentElement.getBoundingClientRect();
+        const x = Math.min(clientX - wall.left, wall.width - this.menu.offsetWidth);
+        const y = Math.min(clientY - wall.top, wall.height - this.menu.offsetHeight);
+        this.menu.style.left = `${Math.max(0, x)}px`;
+        this.menu.style.top = `${Math.max(0, y)}px`;
+        this.menu.querySelector('button').focus();
+    }
+
+    /**
+     * 关闭菜单;焦点在菜单中时回到便签
+     */
+    close() {
+        const restoreFocus = this.menu.contains(document.activeElement);
+        this.menu.hidden = true;
+        this.ids = [];
+        if (restoreFocus && this.noteElement && this.noteElement.isConnected) {
+            this.noteElement.focus();
+        }
+        this.noteElement = null;
+    }
+}
+
+// 导出为全局变量
+window.NoteMenu = NoteMenu;
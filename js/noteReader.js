@@ -0,0 +1,67 @@
+/**
+ * 全文查看模块
+ * 文字显示不全的便签右下角有 ⋯ 按钮,点击后在浮层中显示完整文字
+ */
+
+class NoteReader {
+    constructor(generator, overlay) {
+        this.generator = generator;
+        this.overlay = overlay;
+        this.textEl = overlay.querySelector('.note-reader-text');
+        this.sourceEl = overlay.querySelector('.note-reader-source');
+        this.closeBtn = overlay.querySelector('.note-reader-close');
+    }
+
+    /**
+     * 绑定打开/关闭事件
+     * @param {AbortSignal} [signal] - 中止时移除文档上的监听
+     */
+    bind(canvas, signal) {
+        canvas.addEventListener('click', (e) => {
+            const moreBtn = e.target.closest('.note-more');
+            if (!moreBtn) return;
+
+            e.stopPropagation();
+            this.open(moreBtn.closest('.note'));
+        });
+
+        this.closeBtn.addEventListener('click', () => this.close());
+
+        // 点击浮层背景或按 Esc 关闭
+        this.overlay.addEventListener('click', (e) => {
+            if (e.target === this.overlay) {
+                this.close();
+            }
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen()) {
+                this.close();
+            }
+        }, { signal });
+    }
+
+    isOpen() {
+        return !this.overlay.hidden;
+    }
+
+    /**
+     * 显示便签全文
+     */
+    open(noteElement) {
+        const noteInfo = this.generator.getNoteInfo(noteElement);
+        if (!noteInfo) return;
+
+        this.textEl.textContent = NoteStore.displayText(noteInfo);
+        this.sourceEl.textContent = noteInfo.source === 'user' ? i18n.t('reader.userNote') : i18n.t('reader.source', { source: noteInfo.source });
+        this.overlay.hidden = false;
+        this.closeBtn.focus();
+        this.generator.log(i18n.t('log.noteRead', { text: noteInfo.text.substring(0, 15) }));
+    }
+
+    close() {
+        this.overlay.hidden = true;
+    }
+}
+
+// 导出为全局变量
+window.NoteReader = NoteReader;
@@ -0,0 +1,161 @@
+/**
+ * 便签数据模块
+ * 便签记录是唯一的数据来源,DOM 由生成器按记录渲染(见 NoteGenerator.onStoreChange)
+ * 记录: { id, text, attribution, source, color, x, y, width, height, fontSize, rotation, scale, z, alwaysOnTop, pinned, createdAt }
+ *   text 为便签文字,attribution 为出处(作者/作品),显示时以 "—— 出处" 另起一行
+ *   x, y 为左上角世界坐标;z 为层叠顺序,越大越靠上;alwaysOnTop 的便签总在普通便签之上
+ * 同步时记录还带有 version 和 editor(见 WallSync)
+ */
+
+class NoteStore {
+    constructor(options = {}) {
+        this.records = []; // 按添加顺序排列
+        this.byId = new Map(); // id -> 记录
+        this.onChange = options.onChange || (() => {}); // 变化回调(type, records): add / update / remove / clear / load
+    }
+
+    /**
+     * 补全记录的默认值(兼容旧记录: 没有旋转、缩放和出处,层叠顺序保存在 index 中)
+     */
+    static createRecord(data) {
+        const { index, ...fields } = data;
+        return {
+            attribution: null,
+            source: 'local',
+            rotation: 0,
+            scale: 1,
+            pinned: false,
+            alwaysOnTop: false,
+            createdAt: Date.now(),
+            ...fields,
+            z: Number.isFinite(data.z) ? data.z : (Number.isFinite(index) ? index : 0)
+        };
+    }
+
+    /**
+     * 便签上显示的文字(文字 + 出处)
+     */
+    static displayText({ text, attribution }) {
+        return attribution ? `${text}\n—— ${attribution}` : text;
+    }
+
+    /**
+     * 便签数量
+     */
+    get count() {
+        return this.records.length;
+    }
+
+    /**
+     * 全部记录(只读,修改请使用 update)
+     */
+    all() {
+        return this.records;
+    }
+
+    get(id) {
+        return this.byId.get(id) || null;
+    }
+
+    indexOf(id) {
+        const record = this.byId.get(id);
+        return record ? this.records.indexOf(record) : -1;
+    }
+
+    /**
+     * 新便签的层叠顺序(放在最上层)
+     */
+    nextZ() {
+        return this.records.reduce((max, record) => Math.max(max, record.z + 1), 0);
+    }
+
+    /**
+     * 添加记录
+     * @param {number} at - 插入位置(撤销删除时恢复原位置),默认追加到末尾
+     * @returns {Object} 补全后的记录
+     */
+    add(data, at = this.records.length) {
+        if (this.byId.has(data.id)) {
+            throw new Error(i18n.t('error.noteExists', { id: data.id }));
+        }
+
+        const record = NoteStore.createRecord(data);
+        this.records.splice(at, 0, record);
+        this.byId.set(record.id, record);
+        this.onChange('add', [record]);
+        return record;
+    }
+
+    /**
+     * 修改记录的字段(id 不可修改)
+     * @returns {Object|null} 修改后的记录
+     */
+    update(id, changes) {
+        const record = this.byId.get(id);
+        if (!record) return null;
+
+        const { id: ignored, ...fields } = changes;
+        Object.assign(record, fields);
+        this.onChange('update', [record]);
+        return record;
+    }
+
+    /**
+     * 移除记录
+     * @returns {{record: Object, at: number}|null} 被移除的记录及其原位置
+     */
+    remove(id) {
+        const at = this.indexOf(id);
+        if (at === -1) return null;
+
+        const [record] = this.records.splice(at, 1);
+        this.byId.delete(id);
+        this.onChange('remove', [record]);
+        return { record, at };
+    }
+
+    /**
+     * 移除全部记录
+     * @returns {Object[]} 被移除的记录
+     */
+    clear() {
+        const removed = this.records;
+        this.records = [];
+        this.byId.clear();
+        this.onChange('clear', removed);
+        return removed;
+    }
+
+    /**
+     * 用保存的记录替换全部便签(恢复、导入快照)
+     * @returns {Object[]} 补全后的记录
+     */
+    load(items) {
+        const removed = this.records;
+        this.records = [];
+        this.byId.clear();
+        if (removed.length > 0) {
+            this.onChange('clear', removed);
+        }
+
+        items.forEach(data => {
+            if (this.byId.has(data.id)) return; // 忽略重复的便签
+
+            const record = NoteStore.createRecord(data);
+            this.records.push(record);
+            this.byId.set(record.id, record);
+        });
+        this.onChange('load', this.records);
+        return this.records;
+    }
+
+    /**
+     * 记录的副本(事件、保存、快照使用)
+     */
+    static copy(record) {
+        return { ...record };
+    }
+}
+
+// 导出为全局变量
+window.NoteStore = NoteStore;
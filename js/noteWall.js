@@ -0,0 +1,86 @@
+/**
+ * 便签墙嵌入入口(ES 模块)
+ * 在其他页面中挂载一面或多面便签墙:
+ *   import { mount } from './note-wall/js/noteWall.js';
+ *   const wall = await mount(document.querySelector('#wall'), { params: { speed: 3000 } });
+ * 每面便签墙的设置和便签分别保存(localStorage 键以 id 为前缀),wall.destroy() 卸载
+ */
+
+import './i18n.js';
+import './locales/zh-CN.js';
+import './locales/en.js';
+import './wallStorage.js';
+import './themeManager.js';
+import './themeEditor.js';
+import './quoteProviders.js';
+import './quoteStore.js';
+import './messageLibrary.js';
+import './shapeSampler.js';
+import './layouts.js';
+import './spatialIndex.js';
+import './wallViewport.js';
+import './wallMinimap.js';
+import './noteCuller.js';
+import './textFitter.js';
+import './seededRandom.js';
+import './noteStore.js';
+import './noteGenerator.js';
+import './noteLifecycle.js';
+import './commandHistory.js';
+import './selectionManager.js';
+import './dragHandler.js';
+import './noteEditor.js';
+import './noteReader.js';
+import './noteMenu.js';
+import './noteKeyboard.js';
+import './wallExporter.js';
+import './wallSnapshot.js';
+import './kioskMode.js';
+import './syncTransports.js';
+import './wallSync.js';
+import './wallTemplate.js';
+import './main.js';
+
+const BASE_URL = new URL('../', import.meta.url).href; // data/ 和 css/ 所在目录
+const STYLESHEET_URL = new URL('css/style.css', BASE_URL).href;
+
+let wallCount = 0;
+
+/**
+ * 加载便签墙样式表(只加载一次)
+ */
+function ensureStylesheet() {
+    const loaded = [...document.querySelectorAll('link[rel="stylesheet"]')].some(link => link.href === STYLESHEET_URL);
+    if (loaded) return;
+
+    const link = document.createElement('link');
+    link.rel = 'stylesheet';
+    link.href = STYLESHEET_URL;
+    document.head.appendChild(link);
+}
+
+/**
+ * 在容器中挂载便签墙
+ * @param {HTMLElement} container - 便签墙容器,需要有高度
+ * @param {Object} [options]
+ * @param {string} [options.id] - 保存状态使用的名称,默认为容器的 id;同一名称的便签墙共享保存的状态
+ * @param {Object} [options.params] - 与展示模式 URL 参数同名的配置,如 { speed: 3000, theme: 'dark', controls: 0 }
+ * @returns {Promise<NoteWallApp>} 初始化完成的便签墙
+ */
+export async function mount(container, options = {}) {
+    if (!(container instanceof HTMLElement)) {
+        throw new TypeError(window.i18n.t('error.mountTarget'));
+    }
+    ensureStylesheet();
+
+    const id = options.id || container.id || `wall-${++wallCount}`;
+    const app = new window.NoteWallApp(container, {
+        baseUrl: BASE_URL,
+        storagePrefix: `noteWall:${id}:`,
+        ...options
+    });
+    await app.init();
+    return app;
+}
+
+export const NoteWall = window.NoteWallApp;
@@ -0,0 +1,199 @@
+/**
+ * 语录源模块
+ * 所有语录源实现统一的 fetch 接口,可在运行时注册,无需修改生成器代码
+ *
+ * 语录源格式:
+ * {
+ *     name: 'hitokoto',                        // 唯一名称
+ *     label: '一言',                           // 控制面板中显示的名称(可以是文案键,如 'source.hitokoto')
+ *     language: 'zh-CN',                       // 内容语言,只在界面语言相同时使用;不填表示与界面语言一致(如本地文本库)
+ *     weight: 1,                               // 被选中的相对权重
+ *     timeout: 2000,                           // 超时时间(毫秒)
+ *     enabled: true,                           // 是否启用
+ *     network: true,                           // 需要网络(离线时跳过,成功结果写入离线缓存)
+ *     offlineOnly: false,                      // 仅在离线时使用
+ *     fetch: async ({ signal, generator }) => ({ text, from }) | string | null
+ * }
+ */
+
+class QuoteProviderRegistry {
+    constructor() {
+        this.providers = new Map();
+        this.registerBuiltins();
+    }
+
+    /**
+     * 注册语录源(同名语录源会被覆盖)
+     */
+    register(provider) {
+        if (!provider || !provider.name || typeof provider.fetch !== 'function') {
+            throw new Error(i18n.t('error.providerShape'));
+        }
+
+        this.providers.set(provider.name, {
+            label: provider.name,
+            weight: 1,
+            timeout: 2000,
+            enabled: true,
+            ...provider
+        });
+    }
+
+    /**
+     * 注销语录源
+     */
+    unregister(name) {
+        this.providers.delete(name);
+    }
+
+    /**
+     * 获取语录源,不存在时返回 null
+     */
+    get(name) {
+        return this.providers.get(name) || null;
+    }
+
+    /**
+     * 列出所有语录源
+     */
+    list() {
+        return Array.from(this.providers.values());
+    }
+
+    /**
+     * 修改语录源的权重、超时或启用状态
+     */
+    configure(name, { weight, timeout, enabled } = {}) {
+        const provider = this.get(name);
+        if (!provider) return false;
+
+        if (Number.isFinite(weight) && weight >= 0) provider.weight = weight;
+        if (Number.isFinite(timeout) && timeout > 0) provider.timeout = timeout;
+        if (typeof enabled === 'boolean') provider.enabled = enabled;
+        return true;
+    }
+
+    /**
+     * 按权重随机排列已启用的语录源(权重越大越靠前),作为本次尝试的顺序
+     */
+    pickOrder() {
+        return this.list()
+            .filter(provider => provider.enabled && provider.weight > 0)
+            .map(provider => ({ provider, key: Math.pow(Math.random(), 1 / provider.weight) }))
+            .sort((a, b) => b.key - a.key)
+            .map(({ provider }) => provider);
+    }
+
+    /**
+     * 根据配置创建自定义 JSON 接口语录源
+     * @param {Object} config - { name, url, textField, fromField, label, language, weight, timeout, enabled }
+     *                          字段映射支持点号路径,如 'data.quote' 或 'results.0.content'
+     */
+    static createJsonProvider(config) {
+        if (!config.name || !config.url || !config.textField) {
+            throw new Error(i18n.t('error.jsonProvider'));
+        }
+
+        return {
+            label: config.name,
+            ...config,
+            network: true,
+            async fetch({ signal }) {
+                const response = await fetch(config.url, { signal });
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+
+                const data = await response.json();
+                return {
+                    text: QuoteProviderRegistry.getField(data, config.textField),
+                    from: config.fromField ? QuoteProviderRegistry.getField(data, config.fromField) : null
+                };
+            }
+        };
+    }
+
+    /**
+     * 按点号路径读取字段
+     */
+    static getField(data, path) {
+        return path.split('.').reduce(
+            (value, key) => (value === null || value === undefined ? undefined : value[key]),
+            data
+        );
+    }
+
+    /**
+     * 注册内置语录源
+     */
+    registerBuiltins() {
+        // 一言
+        this.register({
+            name: 'hitokoto',
+            label: 'source.hitokoto',
+            language: 'zh-CN',
+            network: true,
+            async fetch({ signal }) {
+                const response = await fetch('https://v1.hitokoto.cn/?c=a&c=b&c=d&c=h&c=i&c=k', { signal });
+                const data = await response.json();
+
+                // 过滤无意义或过长的来源
+                const from = data.from && data.from !== '网络' && data.from.length < 15 ? data.from : null;
+                return { text: data.hitokoto, from };
+            }
+        });
+
+        // 今日诗词
+        this.register({
+            name: 'jinrishici',
+            label: 'source.jinrishici',
+            language: 'zh-CN',
+            network: true,
+            async fetch({ signal }) {
+                const response = await fetch('https://v1.jinrishici.com/all.json', { signal });
+                const data = await response.json();
+
+                const from = data.author && data.author.length < 10 ? data.author : null;
+                return { text: data.content, from };
+            }
+        });
+
+        // 英文名言
+        this.register({
+            name: 'dummyjson',
+            label: 'source.dummyjson',
+            language: 'en',
+            network: true,
+            async fetch({ signal }) {
+                const response = await fetch('https://dummyjson.com/quotes/random', { signal });
+                const data = await response.json();
+
+                const from = data.author && data.author.length < 30 ? data.author : null;
+                return { text: data.quote, from };
+            }
+        });
+
+        // 本地文本库
+        this.register({
+            name: 'local',
+            label: 'source.local',
+            async fetch({ generator }) {
+                return generator.getLocalMessage();
+            }
+        });
+
+        // 离线缓存(以往在线时获取的语录)
+        this.register({
+            name: 'cache',
+            label: 'source.cache',
+            weight: 3,
+            offlineOnly: true,
+            async fetch({ generator }) {
+                return generator.getCachedQuote();
+            }
+        });
+    }
+}
+
+// 导出为全局变量
+window.QuoteProviderRegistry = QuoteProviderRegistry;
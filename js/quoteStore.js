@@ -0,0 +1,95 @@
+/**
+ * 语录离线缓存模块
+ * 将在线获取成功的语录保存到 IndexedDB,离线时从中取用
+ */
+
+class QuoteStore {
+    constructor(dbName = 'noteWallQuotes', maxQuotes = 500) {
+        this.dbName = dbName;
+        this.storeName = 'quotes';
+        this.maxQuotes = maxQuotes; // 最多保留的语录条数,超出后删除最早的
+        this.dbPromise = null;
+    }
+
+    /**
+     * 打开数据库(只打开一次)
+     */
+    open() {
+        if (typeof indexedDB === 'undefined') {
+            return Promise.reject(new Error(i18n.t('error.noIndexedDB')));
+        }
+
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(this.storeName, { keyPath: 'text' });
+                    store.createIndex('savedAt', 'savedAt');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+
+        return this.dbPromise;
+    }
+
+    /**
+     * 在事务中执行操作
+     */
+    async transaction(mode, callback) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const result = callback(tx.objectStore(this.storeName));
+            tx.oncomplete = () => resolve(result && 'result' in result ? result.result : undefined);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * 保存一条语录(相同文字只保留一条)
+     */
+    async add(quote) {
+        await this.transaction('readwrite', store => store.put({
+            text: quote.text,
+            attribution: quote.attribution || null,
+            source: quote.source,
+            language: quote.language || null,
+            savedAt: Date.now()
+        }));
+        await this.trim();
+    }
+
+    /**
+     * 读取全部语录
+     */
+    getAll() {
+        return this.transaction('readonly', store => store.getAll());
+    }
+
+    /**
+     * 超出上限时删除最早保存的语录
+     */
+    async trim() {
+        const count = await this.transaction('readonly', store => store.count());
+        if (count <= this.maxQuotes) return;
+
+        let toDelete = count - this.maxQuotes;
+        await this.transaction('readwrite', store => {
+            store.index('savedAt').openCursor().onsuccess = (e) => {
+                const cursor = e.target.result;
+                if (cursor && toDelete > 0) {
+                    cursor.delete();
+                    toDelete--;
+                    cursor.continue();
+                }
+            };
+        });
+    }
+}
+
+// 导出为全局变量
+window.QuoteStore = QuoteStore;
@@ -0,0 +1,50 @@
+/**
+ * 种子随机数模块
+ * 同一个种子总是产生相同的随机序列,用于复现便签墙(颜色、位置、本地文本和便签ID)
+ */
+
+class SeededRandom {
+    /**
+     * @param {string|number} seed - 任意字符串或数字
+     */
+    constructor(seed) {
+        this.seed = String(seed);
+        this.key = SeededRandom.hash(this.seed);
+        this.state = this.key;
+        this.idCount = 0; // 已生成的便签ID数量
+    }
+
+    /**
+     * 字符串哈希(FNV-1a,32位)
+     */
+    static hash(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * 下一个 [0, 1) 之间的随机数(mulberry32)
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * 按顺序编号的便签ID,同一种子下可复现
+     */
+    nextId() {
+        this.idCount++;
+        return `note-${this.key.toString(36)}-${this.idCount}`;
+    }
+}
+
+// 导出为全局变量
+window.SeededRandom = SeededRandom;
@@ -0,0 +1,251 @@
+/**
+ * 便签多选模块
+ * Shift+点击切换选中,在画布空白处按住 Shift 拖出选框批量选中,并提供对齐和等距分布命令
+ * (空白处直接拖动用于平移画布,单击空白处清空选择)
+ */
+
+class SelectionManager {
+    constructor(generator, callbacks = {}) {
+        this.generator = generator;
+        this.onChange = callbacks.onChange || (() => {}); // 选中集合变化回调(selectedCount)
+        this.onMove = callbacks.onMove || (() => {}); // 对齐/分布后回调(moves, label)
+        this.selectedIds = new Set();
+        this.marquee = null; // 选框状态
+        this.pressPoint = null; // 空白处按下的位置,用于区分单击和平移
+    }
+
+    /**
+     * 在画布上绑定选框事件
+     * @param {AbortSignal} [signal] - 中止时移除文档上的监听
+     */
+    bind(canvas, signal) {
+        this.canvas = canvas;
+
+        const isBackground = (target) => target === canvas || target === this.generator.container;
+
+        canvas.addEventListener('pointerdown', (e) => {
+            if (e.button !== 0 || !isBackground(e.target)) return;
+
+            if (e.shiftKey) {
+                this.startMarquee(e);
+            } else {
+                this.pressPoint = { x: e.clientX, y: e.clientY };
+            }
+        });
+
+        // 单击空白处(没有拖动平移)时清空选择
+        canvas.addEventListener('click', (e) => {
+            const press = this.pressPoint;
+            this.pressPoint = null;
+            if (!press || !isBackground(e.target)) return;
+
+            if (Math.hypot(e.clientX - press.x, e.clientY - press.y) < 4) {
+                this.clear();
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.selectedIds.size > 0) {
+                this.clear();
+            }
+        }, { signal });
+    }
+
+    /**
+     * 是否选中
+     */
+    isSelected(noteElement) {
+        return this.selectedIds.has(noteElement.dataset.id);
+    }
+
+    /**
+     * 切换便签的选中状态
+     */
+    toggle(noteElement) {
+        if (this.isSelected(noteElement)) {
+            this.selectedIds.delete(noteElement.dataset.id);
+            noteElement.classList.remove('selected');
+        } else {
+            this.selectedIds.add(noteElement.dataset.id);
+            noteElement.classList.add('selected');
+        }
+        this.onChange(this.selectedIds.size);
+    }
+
+    /**
+     * 清空选择
+     */
+    clear() {
+        if (this.selectedIds.size === 0) return;
+
+        this.getSelectedNotes().forEach(note => this.generator.getElement(note.id).classList.remove('selected'));
+        this.selectedIds.clear();
+        this.onChange(0);
+    }
+
+    /**
+     * 获取选中的便签信息(自动忽略已被删除的便签)
+     */
+    getSelectedNotes() {
+        const notes = this.generator.notes.filter(note => this.selectedIds.has(note.id));
+        this.selectedIds = new Set(notes.map(note => note.id));
+        return notes;
+    }
+
+    /**
+     * 开始拖出选框(选框位于世界层,坐标与便签一致)
+     */
+    startMarquee(e) {
+        const start = this.generator.clientToWorld(e.clientX, e.clientY);
+
+        const box = document.createElement('div');
+        box.className = 'selection-marquee';
+        this.generator.container.appendChild(box);
+
+        this.marquee = { box, moved: false };
+
+        const onMove = (moveEvent) => {
+            if (moveEvent.pointerId !== e.pointerId) return;
+
+            const point = this.generator.clientToWorld(moveEvent.clientX, moveEvent.clientY);
+            const rect = {
+                x: Math.min(start.x, point.x),
+                y: Math.min(start.y, point.y),
+                width: Math.abs(point.x - start.x),
+                height: Math.abs(point.y - start.y)
+            };
+
+            this.marquee.rect = rect;
+            this.marquee.moved = this.marquee.moved || Math.hypot(
+                moveEvent.clientX - e.clientX, moveEvent.clientY - e.clientY
+            ) > 3;
+            box.style.left = `${rect.x}px`;
+            box.style.top = `${rect.y}px`;
+            box.style.width = `${rect.width}px`;
+            box.style.height = `${rect.height}px`;
+        };
+
+        const onUp = (upEvent) => {
+            if (upEvent.pointerId !== e.pointerId) return;
+
+            window.removeEventListener('pointermove', onMove);
+            window.removeEventListener('pointerup', onUp);
+            window.removeEventListener('pointercancel', onUp);
+            box.remove();
+            this.finishMarquee();
+        };
+
+        window.addEventListener('pointermove', onMove);
+        window.addEventListener('pointerup', onUp);
+        window.addEventListener('pointercancel', onUp);
+    }
+
+    /**
+     * 结束选框: 把与选框相交的便签加入选择
+     */
+    finishMarquee() {
+        const { rect, moved } = this.marquee;
+        this.marquee = null;
+        if (!moved) return;
+
+        // 通过空间索引查找与选框相交的便签
+        this.generator.queryNotes(rect).forEach(note => {
+            if (!this.selectedIds.has(note.id)) {
+                this.selectedIds.add(note.id);
+                this.generator.getElement(note.id).classList.add('selected');
+            }
+        });
+
+        this.onChange(this.selectedIds.size);
+        this.generator.log(i18n.t('log.selected', { count: this.selectedIds.size }));
+    }
+
+    /**
+     * 便签实际尺寸(响应式样式可能覆盖记录中的尺寸)
+     */
+    getNoteSize(note) {
+        const element = this.generator.getElement(note.id);
+        return {
+            width: element.offsetWidth || note.width,
+            height: element.offsetHeight || note.height
+        };
+    }
+
+    /**
+     * 对齐选中的便签
+     * @param {'left'|'center'|'top'} mode
+     */
+    align(mode) {
+        const notes = this.getSelectedNotes();
+        if (notes.length < 2) return;
+
+        let moves;
+        if (mode === 'left') {
+            const left = Math.min(...notes.map(note => note.x));
+            moves = notes.map(note => ({ note, x: left, y: note.y }));
+        } else if (mode === 'center') {
+            const left = Math.min(...notes.map(note => note.x));
+            const right = Math.max(...notes.map(note => note.x + this.getNoteSize(note).width));
+            const center = (left + right) / 2;
+            moves = notes.map(note => ({ note, x: center - this.getNoteSize(note).width / 2, y: note.y }));
+        } else if (mode === 'top') {
+            const top = Math.min(...notes.map(note => note.y));
+            moves = notes.map(note => ({ note, x: note.x, y: top }));
+        } else {
+            return;
+        }
+
+        this.applyMoves(moves, i18n.t(`align.${mode}`));
+    }
+
+    /**
+     * 等距分布选中的便签(首尾便签不动,相邻便签间距相等)
+     * @param {'horizontal'|'vertical'} axis
+     */
+    distribute(axis) {
+        const notes = this.getSelectedNotes();
+        if (notes.length < 3) return;
+
+        const pos = axis === 'horizontal' ? 'x' : 'y';
+        const dim = axis === 'horizontal' ? 'width' : 'height';
+        const sorted = [...notes].sort((a, b) => a[pos] - b[pos]);
+
+        const first = sorted[0];
+        const last = sorted[sorted.length - 1];
+        const span = last[pos] + this.getNoteSize(last)[dim] - first[pos];
+        const totalSize = sorted.reduce((sum, note) => sum + this.getNoteSize(note)[dim], 0);
+        const gap = (span - totalSize) / (sorted.length - 1);
+
+        let cursor = first[pos];
+        const moves = sorted.map(note => {
+            const move = { note, x: note.x, y: note.y };
+            move[pos] = cursor;
+            cursor += this.getNoteSize(note)[dim] + gap;
+            return move;
+        });
+
+        this.applyMoves(moves, i18n.t(`align.${axis}`));
+    }
+
+    /**
+     * 应用一组移动并通知调用方(一次性更新生成器中的位置)
+     */
+    applyMoves(moves, label) {
+        const changes = moves
+            .filter(({ note, x, y }) => note.x !== x || note.y !== y)
+            .map(({ note, x, y }) => ({
+                id: note.id,
+                from: { x: note.x, y: note.y },
+                to: { x, y }
+            }));
+
+        if (changes.length === 0) return;
+
+        this.generator.moveNotes(changes.map(({ id, to }) => ({ id, ...to })));
+        this.onMove(changes, label);
+        this.generator.log(i18n.t('log.arranged', { label, count: changes.length }));
+    }
+}
+
+// 导出为全局变量
+window.SelectionManager = SelectionManager;
@@ -0,0 +1,195 @@
+/**
+ * 形状采样模块
+ * 将文字离屏光栅化或对 SVG path 采样,得到便签排列的目标点
+ */
+
+class ShapeSampler {
+    constructor() {
+        this.source = { type: 'text', value: '爱' }; // 当前形状来源
+        this.cacheKey = null;
+        this.cachedPoints = [];
+    }
+
+    /**
+     * 判断输入是否为 SVG path 数据(以 M/m 命令开头)
+     */
+    static isPathData(value) {
+        return /^\s*[Mm]\s*-?[\d.]/.test(value);
+    }
+
+    /**
+     * 设置形状来源
+     * @param {{type: 'text'|'path', value: string}} source
+     */
+    setSource(source) {
+        this.source = { type: source.type, value: source.value };
+        this.cacheKey = null;
+    }
+
+    /**
+     * 获取形状内的采样点(中心点坐标),按行优先排列
+     * 结果按画布尺寸和间距缓存,窗口大小改变后自动重新采样
+     */
+    getPoints(width, height, spacing) {
+        const key = `${this.source.type}|${this.source.value}|${Math.round(width)}x${Math.round(height)}|${spacing}`;
+        if (key === this.cacheKey) {
+            return this.cachedPoints;
+        }
+
+        const points = this.source.type === 'path'
+            ? this.samplePath(this.source.value, width, height, spacing)
+            : this.sampleText(this.source.value, width, height, spacing);
+
+        this.cacheKey = key;
+        this.cachedPoints = points;
+        return points;
+    }
+
+    /**
+     * 创建离屏画布
+     */
+    createContext(width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(width));
+        canvas.height = Math.max(1, Math.round(height));
+        return canvas.getContext('2d', { willReadFrequently: true });
+    }
+
+    /**
+     * 文字光栅化后按网格采样填充像素
+     */
+    sampleText(text, width, height, spacing) {
+        const ctx = this.createContext(width, height);
+        if (!ctx || !text) return [];
+
+        const fontFamily = "'Segoe UI', 'Microsoft YaHei', sans-serif";
+        let fontSize = height * 0.75;
+        ctx.font = `bold ${fontSize}px ${fontFamily}`;
+
+        // 文字过宽时按比例缩小字号
+        const textWidth = ctx.measureText(text).width;
+        if (textWidth > width * 0.9) {
+            fontSize *= (width * 0.9) / textWidth;
+            ctx.font = `bold ${fontSize}px ${fontFamily}`;
+        }
+
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = '#000';
+        ctx.fillText(text, width / 2, height / 2);
+
+        const { data } = ctx.getImageData(0, 0, ctx.canvas.width, ctx.canvas.height);
+        const points = [];
+
+        this.forEachGridPoint(width, height, spacing, (x, y) => {
+            const alpha = data[(Math.floor(y) * ctx.canvas.width + Math.floor(x)) * 4 + 3];
+            if (alpha > 128) {
+                points.push({ x, y });
+            }
+        });
+
+        return points;
+    }
+
+    /**
+     * SVG path 缩放到画布中央后采样内部点,填充区域过小时沿轮廓采样
+     */
+    samplePath(pathData, width, height, spacing) {
+        const ctx = this.createContext(width, height);
+        const bbox = this.getPathBBox(pathData);
+        if (!ctx || !bbox || bbox.width === 0 || bbox.height === 0) return [];
+
+        const scale = Math.min((width * 0.85) / bbox.width, (height * 0.85) / bbox.height);
+        const offsetX = width / 2 - (bbox.x + bbox.width / 2) * scale;
+        const offsetY = height / 2 - (bbox.y + bbox.height / 2) * scale;
+
+        const path = new Path2D(pathData);
+        ctx.setTransform(scale, 0, 0, scale, offsetX, offsetY);
+
+        const points = [];
+        this.forEachGridPoint(width, height, spacing, (x, y) => {
+            if (ctx.isPointInPath(path, x, y)) {
+                points.push({ x, y });
+            }
+        });
+
+        if (points.length >= 8) {
+            return points;
+        }
+
+        // 线条类图形(如只有轮廓的 logo)内部几乎没有点,改为沿路径均匀取点
+        return this.samplePathOutline(pathData, spacing / scale).map(point => ({
+            x: point.x * scale + offsetX,
+            y: point.y * scale + offsetY
+        }));
+    }
+
+    /**
+     * 借助隐藏的 SVG 元素计算 path 的包围盒
+     */
+    getPathBBox(pathData) {
+        return this.withPathElement(pathData, (pathEl) => {
+            const { x, y, width, height } = pathEl.getBBox();
+            return { x, y, width, height };
+        });
+    }
+
+    /**
+     * 沿路径按固定间距取点(路径坐标系)
+     */
+    samplePathOutline(pathData, step) {
+        return this.withPathElement(pathData, (pathEl) => {
+            const length = pathEl.getTotalLength();
+            const points = [];
+
+            for (let distance = 0; distance < length; distance += step) {
+                const point = pathEl.getPointAtLength(distance);
+                points.push({ x: point.x, y: point.y });
+            }
+
+            return points;
+        }) || [];
+    }
+
+    /**
+     * 创建临时挂载到文档中的 path 元素(getBBox 需要元素在文档中)
+     */
+    withPathElement(pathData, callback) {
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const svg = document.createElementNS(svgNS, 'svg');
+        const pathEl = document.createElementNS(svgNS, 'path');
+
+        svg.setAttribute('width', '0');
+        svg.setAttribute('height', '0');
+        svg.style.position = 'absolute';
+        svg.style.visibility = 'hidden';
+        pathEl.setAttribute('d', pathData);
+        svg.appendChild(pathEl);
+        document.body.appendChild(svg);
+
+        try {
+            return typeof pathEl.getBBox === 'function' ? callback(pathEl) : null;
+        } catch (error) {
+            console.warn(i18n.t('log.pathFailed'), error);
+            return null;
+        } finally {
+            svg.remove();
+        }
+    }
+
+    /**
+     * 遍历画布上的网格点(奇数行错开半格,排列更自然)
+     */
+    forEachGridPoint(width, height, spacing, callback) {
+        let row = 0;
+        for (let y = spacing / 2; y < height; y += spacing, row++) {
+            const offset = row % 2 === 1 ? spacing / 2 : 0;
+            for (let x = spacing / 2 + offset; x < width; x += spacing) {
+                callback(x, y);
+            }
+        }
+    }
+}
+
+// 导出为全局变量
+window.ShapeSampler = ShapeSampler;
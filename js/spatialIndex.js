@@ -0,0 +1,107 @@
+/**
+ * 空间索引模块
+ * 均匀网格索引,按矩形快速查找便签,用于放置时的重叠检查、框选和视口剔除
+ */
+
+class SpatialIndex {
+    constructor(cellSize = 256) {
+        this.cellSize = cellSize; // 网格边长(世界坐标)
+        this.cells = new Map(); // 'cx,cy' -> Set<id>
+        this.items = new Map(); // id -> { rect, keys }
+    }
+
+    /**
+     * 矩形覆盖的网格
+     */
+    getCellKeys(rect) {
+        const keys = [];
+        const minX = Math.floor(rect.x / this.cellSize);
+        const minY = Math.floor(rect.y / this.cellSize);
+        const maxX = Math.floor((rect.x + Math.max(0, rect.width)) / this.cellSize);
+        const maxY = Math.floor((rect.y + Math.max(0, rect.height)) / this.cellSize);
+
+        for (let cx = minX; cx <= maxX; cx++) {
+            for (let cy = minY; cy <= maxY; cy++) {
+                keys.push(`${cx},${cy}`);
+            }
+        }
+        return keys;
+    }
+
+    /**
+     * 添加或更新条目
+     * @param {Object} rect - { x, y, width, height }
+     */
+    insert(id, rect) {
+        this.remove(id);
+
+        const item = {
+            rect: { x: rect.x, y: rect.y, width: rect.width, height: rect.height },
+            keys: this.getCellKeys(rect)
+        };
+        item.keys.forEach(key => {
+            if (!this.cells.has(key)) {
+                this.cells.set(key, new Set());
+            }
+            this.cells.get(key).add(id);
+        });
+        this.items.set(id, item);
+    }
+
+    /**
+     * 移除条目
+     */
+    remove(id) {
+        const item = this.items.get(id);
+        if (!item) return;
+
+        item.keys.forEach(key => {
+            const cell = this.cells.get(key);
+            cell.delete(id);
+            if (cell.size === 0) {
+                this.cells.delete(key);
+            }
+        });
+        this.items.delete(id);
+    }
+
+    /**
+     * 查找与矩形相交的条目
+     * @returns {string[]} 条目ID
+     */
+    query(rect) {
+        const result = new Set();
+
+        this.getCellKeys(rect).forEach(key => {
+            const cell = this.cells.get(key);
+            if (!cell) return;
+
+            cell.forEach(id => {
+                if (result.has(id)) return;
+
+                const item = this.items.get(id).rect;
+                if (item.x <= rect.x + rect.width && item.x + item.width >= rect.x &&
+                    item.y <= rect.y + rect.height && item.y + item.height >= rect.y) {
+                    result.add(id);
+                }
+            });
+        });
+
+        return Array.from(result);
+    }
+
+    /**
+     * 清空索引
+     */
+    clear() {
+        this.cells.clear();
+        this.items.clear();
+    }
+
+    get size() {
+        return this.items.size;
+    }
+}
+
+// 导出为全局变量
+window.SpatialIndex = SpatialIndex;
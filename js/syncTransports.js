@@ -0,0 +1,105 @@
+/**
+ * 同步传输模块
+ * WallSync 通过传输层收发消息(普通对象),传输层只负责送达,不理解消息内容
+ * 接口: open(onMessage, onOpen) / send(message) / close();每次(重新)连接成功后调用 onOpen
+ */
+
+/**
+ * 同一浏览器的标签页之间(BroadcastChannel)
+ */
+class BroadcastTransport {
+    constructor(name) {
+        this.name = `note-wall:${name}`;
+        this.label = i18n.t('sync.tabs', { name });
+        this.channel = null;
+    }
+
+    open(onMessage, onOpen) {
+        if (!('BroadcastChannel' in window)) {
+            console.warn(i18n.t('log.noBroadcastChannel'));
+            return;
+        }
+
+        this.channel = new BroadcastChannel(this.name);
+        this.channel.addEventListener('message', (e) => onMessage(e.data));
+        onOpen();
+    }
+
+    send(message) {
+        if (this.channel) {
+            this.channel.postMessage(message);
+        }
+    }
+
+    close() {
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+    }
+}
+
+/**
+ * 通过 WebSocket 中继服务器(server/relay.js)在多台设备之间同步
+ * 断线后按指数退避自动重连;断线期间的修改不排队,重连后由状态交换补齐
+ */
+class SocketTransport {
+    constructor(url) {
+        this.url = url;
+        this.label = i18n.t('sync.relay', { url });
+        this.socket = null;
+        this.closed = false;
+        this.retryDelay = 1000; // 重连等待时间(ms),每次失败翻倍
+        this.maxRetryDelay = 30000;
+        this.retryTimer = null;
+    }
+
+    open(onMessage, onOpen) {
+        this.onMessage = onMessage;
+        this.onOpen = onOpen;
+        this.connect();
+    }
+
+    connect() {
+        const socket = new WebSocket(this.url);
+        this.socket = socket;
+
+        socket.addEventListener('open', () => {
+            this.retryDelay = 1000;
+            this.onOpen();
+        });
+        socket.addEventListener('message', (e) => {
+            try {
+                this.onMessage(JSON.parse(e.data));
+            } catch (error) {
+                console.warn(i18n.t('log.syncParseFailed'), error);
+            }
+        });
+        socket.addEventListener('close', () => {
+            if (this.closed) return;
+
+            console.warn(i18n.t('log.relayDisconnected', { seconds: this.retryDelay / 1000 }));
+            this.retryTimer = setTimeout(() => this.connect(), this.retryDelay);
+            this.retryDelay = Math.min(this.retryDelay * 2, this.maxRetryDelay);
+        });
+    }
+
+    send(message) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    close() {
+        this.closed = true;
+        clearTimeout(this.retryTimer);
+        if (this.socket) {
+            this.socket.close();
+            this.socket = null;
+        }
+    }
+}
+
+// 导出为全局变量
+window.BroadcastTransport = BroadcastTransport;
+window.SocketTransport = SocketTransport;
@@ -0,0 +1,169 @@
+/**
+ * 文字测量与便签尺寸模块
+ * 用 Canvas measureText 实测文字宽度,按实际折行找出能容纳文字的最小便签
+ * 中文逐字折行,英文在空格处折行,保留文字中的换行(如 "\n—— 作者")
+ * 在最大尺寸和最小字号下仍放不下时标记为截断,由样式显示省略号
+ */
+
+class TextFitter {
+    constructor(options = {}) {
+        this.minWidth = options.minWidth || 90;
+        this.maxWidth = options.maxWidth || 200;
+        this.minHeight = options.minHeight || 90;
+        this.maxHeight = options.maxHeight || 180;
+        this.padding = options.padding ?? 10; // 与 .note 的 padding 一致
+        this.lineHeight = options.lineHeight || 1.3; // 与 .note 的 line-height 一致
+        this.fontSizes = options.fontSizes || [0.8, 0.75, 0.7, 0.65]; // 可选字号(rem),优先使用大字号
+        this.fontWeight = options.fontWeight || 500;
+        this.fontFamily = options.fontFamily || "'Segoe UI', 'Microsoft YaHei', sans-serif";
+        this.step = 10; // 宽度搜索步长(像素)
+
+        this.context = document.createElement('canvas').getContext('2d');
+        this.charWidths = new Map(); // font -> Map(char -> width),避免重复测量
+    }
+
+    /**
+     * 字号(rem)对应的 CSS font
+     */
+    getFont(fontSize) {
+        return `${this.fontWeight} ${fontSize * 16}px ${this.fontFamily}`;
+    }
+
+    /**
+     * 测量文字宽度
+     * 不支持 Canvas 时按字符类型估算: 中日韩全角字符约一个字号宽,其他字符约半个字号宽
+     */
+    measure(text, font) {
+        if (!this.charWidths.has(font)) {
+            this.charWidths.set(font, new Map());
+        }
+        const cache = this.charWidths.get(font);
+
+        let width = 0;
+        for (const char of text) {
+            if (!cache.has(char)) {
+                cache.set(char, this.measureChar(char, font));
+            }
+            width += cache.get(char);
+        }
+        return width;
+    }
+
+    measureChar(char, font) {
+        if (this.context) {
+            this.context.font = font;
+            return this.context.measureText(char).width;
+        }
+
+        const fontPx = parseFloat(font.split(' ')[1]) || 12;
+        return TextFitter.isWideChar(char) ? fontPx : fontPx * 0.55;
+    }
+
+    /**
+     * 按宽度折行(中文逐字折行,英文尽量在空格处折行)
+     * @returns {string[]} 各行文字
+     */
+    wrapText(text, maxWidth, font) {
+        const lines = [];
+
+        text.split('\n').forEach(paragraph => {
+            let line = '';
+            let lastSpace = -1;
+
+            for (const char of paragraph) {
+                const candidate = line + char;
+                if (line && this.measure(candidate, font) > maxWidth) {
+                    if (lastSpace > 0 && char !== ' ') {
+                        lines.push(line.slice(0, lastSpace));
+                        line = line.slice(lastSpace + 1) + char;
+                    } else {
+                        lines.push(line);
+                        line = char === ' ' ? '' : char;
+                    }
+                    lastSpace = line.lastIndexOf(' ');
+                } else {
+                    line = candidate;
+                }
+
+                if (char === ' ') {
+                    lastSpace = line.length - 1;
+                }
+            }
+
+            lines.push(line);
+        });
+
+        return lines;
+    }
+
+    /**
+     * 截取前 maxLines 行,被截断时最后一行以省略号结尾
+     */
+    clampLines(lines, maxLines) {
+        if (lines.length <= maxLines) return lines;
+
+        const clamped = lines.slice(0, maxLines);
+        clamped[maxLines - 1] = `${clamped[maxLines - 1].slice(0, -1)}…`;
+        return clamped;
+    }
+
+    /**
+     * 指定尺寸和字号的便签最多显示几行
+     */
+    getMaxLines(height, fontSize) {
+        return Math.max(1, Math.floor((height - this.padding * 2) / (fontSize * 16 * this.lineHeight)));
+    }
+
+    /**
+     * 计算能容纳文字的最小便签尺寸
+     * 从大字号开始,逐步加宽便签,找到高度不超过宽度(接近方形)的最小尺寸;
+     * 方形放不下时允许增高到最大高度;所有字号都放不下时使用最大尺寸和最小字号并标记截断
+     * @returns {{width: number, height: number, fontSize: number, truncated: boolean}}
+     */
+    fit(text) {
+        for (const fontSize of this.fontSizes) {
+            const font = this.getFont(fontSize);
+            const lineHeight = fontSize * 16 * this.lineHeight;
+            let tallest = null;
+
+            for (let width = this.minWidth; width <= this.maxWidth; width += this.step) {
+                const lines = this.wrapText(text, width - this.padding * 2, font);
+                const height = Math.max(this.minHeight, Math.ceil(lines.length * lineHeight + this.padding * 2));
+
+                if (height <= width) {
+                    return { width, height, fontSize, truncated: false };
+                }
+                if (width + this.step > this.maxWidth && height <= this.maxHeight) {
+                    tallest = { width, height, fontSize, truncated: false };
+                }
+            }
+
+            if (tallest) return tallest;
+        }
+
+        return {
+            width: this.maxWidth,
+            height: this.maxHeight,
+            fontSize: this.fontSizes[this.fontSizes.length - 1],
+            truncated: true
+        };
+    }
+
+    /**
+     * 文字在给定便签中是否显示不全
+     */
+    isTruncated(text, width, height, fontSize) {
+        const lines = this.wrapText(text, width - this.padding * 2, this.getFont(fontSize));
+        return lines.length > this.getMaxLines(height, fontSize);
+    }
+
+    /**
+     * 是否为全角字符(中日韩文字、全角标点)
+     */
+    static isWideChar(char) {
+        return /[\u1100-\u115F\u2E80-\uA4CF\uAC00-\uD7A3\uF900-\uFAFF\uFE30-\uFE4F\uFF00-\uFF60\uFFE0-\uFFE6]/.test(char);
+    }
+}
+
+// 导出为全局变量
+window.TextFitter = TextFitter;
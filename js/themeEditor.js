@@ -0,0 +1,152 @@
+/**
+ * 主题编辑器模块
+ * 在浮层中编辑主题名称、深浅样式、背景渐变和便签配色
+ * 内置主题不能修改,编辑时另存为副本
+ */
+
+class ThemeEditor {
+    constructor(themes, overlay) {
+        this.themes = themes; // 主题管理器(ThemeManager)
+        this.overlay = overlay;
+        this.form = overlay.querySelector('form');
+        this.backgroundList = overlay.querySelector('[data-role="background"]');
+        this.paletteList = overlay.querySelector('[data-role="palette"]');
+        this.errorEl = overlay.querySelector('.theme-editor-error');
+        this.deleteBtn = overlay.querySelector('[data-action="delete"]');
+        this.editingId = null; // 正在编辑的自定义主题,新建时为 null
+    }
+
+    /**
+     * 绑定编辑器内的事件
+     * @param {AbortSignal} [signal] - 中止时移除文档上的监听
+     */
+    bind(signal) {
+        this.overlay.querySelector('.modal-close').addEventListener('click', () => this.close());
+
+        // 点击浮层背景或按 Esc 关闭
+        this.overlay.addEventListener('click', (e) => {
+            if (e.target === this.overlay) {
+                this.close();
+            }
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !this.overlay.hidden) {
+                this.close();
+            }
+        }, { signal });
+
+        this.overlay.querySelector('[data-action="add"]').addEventListener('click', () => {
+            if (this.paletteList.children.length >= this.themes.maxPaletteSize) return;
+
+            const colors = Object.values(ThemeManager.namedColors);
+            this.addSwatch(this.paletteList, colors[this.paletteList.children.length % colors.length], true);
+        });
+
+        this.paletteList.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('.theme-swatch-remove');
+            if (removeBtn && this.paletteList.children.length > 1) {
+                removeBtn.parentElement.remove();
+            }
+        });
+
+        this.deleteBtn.addEventListener('click', () => this.remove());
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.save();
+        });
+    }
+
+    /**
+     * 打开编辑器,以指定主题为初始内容
+     */
+    open(theme) {
+        this.editingId = theme.builtIn ? null : theme.id;
+        this.form.elements.name.value = theme.builtIn ? i18n.t('themeEditor.copyName', { name: i18n.t(theme.name) }) : theme.name;
+        this.form.elements.dark.checked = theme.dark;
+        this.deleteBtn.hidden = !this.editingId;
+        this.errorEl.textContent = '';
+
+        this.backgroundList.innerHTML = '';
+        theme.background.forEach(color => this.addSwatch(this.backgroundList, color, false));
+        this.paletteList.innerHTML = '';
+        theme.palette.forEach(key => this.addSwatch(this.paletteList, ThemeManager.getColorValue(key), true));
+
+        this.overlay.hidden = false;
+        this.form.elements.name.focus();
+    }
+
+    close() {
+        this.overlay.hidden = true;
+    }
+
+    /**
+     * 添加颜色选择框
+     */
+    addSwatch(list, color, removable) {
+        const swatch = document.createElement('span');
+        swatch.className = 'theme-swatch';
+
+        const input = document.createElement('input');
+        input.type = 'color';
+        input.value = color;
+        swatch.appendChild(input);
+
+        if (removable) {
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'theme-swatch-remove';
+            removeBtn.title = i18n.t('themeEditor.removeColor');
+            removeBtn.textContent = '×';
+            swatch.appendChild(removeBtn);
+        }
+
+        list.appendChild(swatch);
+    }
+
+    /**
+     * 读取表单内容
+     * 与内置颜色相同的颜色使用内置颜色名,以沿用样式表中的渐变
+     */
+    read() {
+        const values = (list) => Array.from(list.querySelectorAll('input')).map(input => input.value.toLowerCase());
+        const named = Object.entries(ThemeManager.namedColors);
+
+        return {
+            id: this.editingId,
+            name: this.form.elements.name.value,
+            dark: this.form.elements.dark.checked,
+            background: values(this.backgroundList),
+            palette: values(this.paletteList).map(hex => {
+                const match = named.find(([, value]) => value === hex);
+                return match ? match[0] : ThemeManager.colorKey(hex);
+            })
+        };
+    }
+
+    /**
+     * 保存并使用该主题
+     */
+    save() {
+        try {
+            const theme = this.themes.saveCustom(this.read());
+            this.themes.setPreference(theme.id);
+            this.close();
+        } catch (error) {
+            this.errorEl.textContent = error.message;
+        }
+    }
+
+    /**
+     * 删除正在编辑的自定义主题
+     */
+    remove() {
+        if (!this.editingId || !confirm(i18n.t('dialog.deleteTheme', { name: this.form.elements.name.value }))) return;
+
+        this.themes.removeCustom(this.editingId);
+        this.close();
+    }
+}
+
+// 导出为全局变量
+window.ThemeEditor = ThemeEditor;
@@ -0,0 +1,301 @@
+/**
+ * 主题模块
+ * 主题同时定义背景渐变和便签配色,内置若干主题,也可以在主题编辑器中自定义
+ * 偏好(跟随系统或指定主题)和自定义主题保存在 localStorage
+ *
+ * 便签记录中保存的是颜色名: 内置颜色(pink 等)的样式由样式表定义,
+ * 自定义颜色以 c-rrggbb 命名,样式在运行时生成,换主题或分享到别处时便签颜色不变
+ */
+
+class ThemeManager {
+    // 内置颜色的主色(与样式表中渐变的主色一致,用于小地图和配色编辑器)
+    static namedColors = {
+        pink: '#ffb3c6',
+        green: '#a5d6a7',
+        yellow: '#fff59d',
+        blue: '#81d4fa',
+        purple: '#ce93d8',
+        orange: '#ffcc80'
+    };
+
+    constructor(options = {}) {
+        this.storageKey = options.storageKey === undefined ? 'wallTheme' : options.storageKey; // 为 null 时不持久化
+        this.onChange = options.onChange || (() => {}); // 生效主题变化回调(theme)
+        this.root = options.root || document.body; // 应用主题样式的元素(嵌入时为便签墙元素)
+        this.themes = new Map(); // id -> 主题
+        this.preference = 'auto'; // 'auto' 跟随系统,否则为主题 id
+        this.active = null; // 当前生效的主题
+        this.maxPaletteSize = 8;
+        this.styleElement = null; // 自定义颜色的样式
+        this.colorRules = new Set(); // 已生成样式的自定义颜色
+        this.darkQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+        this.registerBuiltins();
+    }
+
+    /**
+     * 注册内置主题(名称为文案键,显示时用 i18n.t 翻译)
+     */
+    registerBuiltins() {
+        const all = Object.keys(ThemeManager.namedColors);
+
+        this.register({ id: 'light', name: 'theme.light', dark: false, background: ['#e3f2fd', '#f3e5f5', '#fff9c4'], palette: all }, true);
+        this.register({ id: 'dark', name: 'theme.dark', dark: true, background: ['#1a237e', '#4a148c', '#1b5e20'], palette: all }, true);
+        this.register({ id: 'sunset', name: 'theme.sunset', dark: false, background: ['#ffe0b2', '#f8bbd0', '#fff59d'], palette: ['pink', 'orange', 'yellow', 'purple'] }, true);
+        this.register({ id: 'ocean', name: 'theme.ocean', dark: true, background: ['#0d47a1', '#006064', '#1a237e'], palette: ['blue', 'green', 'purple'] }, true);
+    }
+
+    /**
+     * 注册主题(同 id 的主题会被覆盖)
+     */
+    register(theme, builtIn = false) {
+        this.themes.set(theme.id, { ...theme, builtIn });
+    }
+
+    /**
+     * 获取主题,不存在时返回 null
+     */
+    get(id) {
+        return this.themes.get(id) || null;
+    }
+
+    /**
+     * 列出所有主题(内置主题在前)
+     */
+    list() {
+        return Array.from(this.themes.values());
+    }
+
+    /**
+     * 读取偏好和自定义主题,监听系统深色模式,应用主题
+     * @param {AbortSignal} [signal] - 中止时停止监听系统深色模式
+     */
+    init(signal) {
+        this.load();
+
+        if (this.darkQuery) {
+            this.darkQuery.addEventListener('change', () => {
+                if (this.preference === 'auto') {
+                    this.apply();
+                }
+            }, { signal });
+        }
+
+        this.apply();
+    }
+
+    load() {
+        if (!this.storageKey) return;
+
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            if (!saved) return;
+
+            (saved.custom || []).forEach(theme => {
+                try {
+                    this.register(this.validate(theme));
+                } catch (error) {
+                    console.warn(i18n.t('log.invalidTheme', { message: error.message }));
+                }
+            });
+            if (typeof saved.preference === 'string') {
+                this.preference = saved.preference;
+            }
+        } catch (error) {
+            console.error(i18n.t('log.themeLoadFailed'), error);
+        }
+    }
+
+    save() {
+        if (!this.storageKey) return;
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                preference: this.preference,
+                custom: this.list().filter(theme => !theme.builtIn).map(({ builtIn, ...theme }) => theme)
+            }));
+        } catch (error) {
+            console.error(i18n.t('log.themeSaveFailed'), error);
+        }
+    }
+
+    /**
+     * 系统是否处于深色模式
+     */
+    prefersDark() {
+        return Boolean(this.darkQuery && this.darkQuery.matches);
+    }
+
+    /**
+     * 按偏好解析出应生效的主题 id
+     */
+    resolve() {
+        if (this.preference === 'auto' || !this.themes.has(this.preference)) {
+            return this.prefersDark() ? 'dark' : 'light';
+        }
+        return this.preference;
+    }
+
+    /**
+     * 设置偏好('auto' 或主题 id)
+     * @param {boolean} persist - 是否保存(URL 参数指定的主题只对本次打开生效)
+     */
+    setPreference(preference, persist = true) {
+        this.preference = preference === 'auto' || this.themes.has(preference) ? preference : 'auto';
+        if (persist) {
+            this.save();
+        }
+        this.apply();
+    }
+
+    /**
+     * 应用当前偏好对应的主题: 背景渐变、深色样式和便签配色
+     */
+    apply() {
+        const theme = this.get(this.resolve());
+        this.active = theme;
+
+        this.root.classList.toggle('dark-theme', theme.dark);
+        theme.background.forEach((color, i) => {
+            this.root.style.setProperty(`--bg-gradient-${i + 1}`, color);
+        });
+        theme.palette.forEach(color => this.ensureColor(color));
+
+        this.onChange(theme);
+    }
+
+    /**
+     * 当前主题的便签配色(颜色名列表)
+     */
+    getPalette() {
+        return this.active ? this.active.palette : Object.keys(ThemeManager.namedColors);
+    }
+
+    /**
+     * 保存自定义主题(没有 id 时新建)
+     * @throws {Error} 主题内容无效时抛出
+     * @returns {Object} 保存后的主题
+     */
+    saveCustom(data) {
+        const theme = this.validate({ ...data, id: data.id || `custom-${Date.now()}` });
+        const existing = this.get(theme.id);
+        if (existing && existing.builtIn) {
+            throw new Error(i18n.t('error.builtInTheme'));
+        }
+
+        this.register(theme);
+        this.save();
+        if (this.active && this.active.id === theme.id) {
+            this.apply();
+        }
+        return this.get(theme.id);
+    }
+
+    /**
+     * 删除自定义主题,正在使用时改为跟随系统
+     */
+    removeCustom(id) {
+        const theme = this.get(id);
+        if (!theme || theme.builtIn) return false;
+
+        this.themes.delete(id);
+        if (this.preference === id) {
+            this.preference = 'auto';
+        }
+        this.save();
+        this.apply();
+        return true;
+    }
+
+    /**
+     * 校验主题数据
+     * @throws {Error} 数据无效时抛出,错误信息可直接展示给用户
+     */
+    validate(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error(i18n.t('error.themeFormat'));
+        }
+
+        const name = typeof data.name === 'string' ? data.name.trim().slice(0, 20) : '';
+        if (!name) {
+            throw new Error(i18n.t('error.themeName'));
+        }
+        if (!Array.isArray(data.background) || data.background.length !== 3 || !data.background.every(ThemeManager.isHexColor)) {
+            throw new Error(i18n.t('error.themeBackground'));
+        }
+        if (!Array.isArray(data.palette) || data.palette.length === 0 || data.palette.length > this.maxPaletteSize) {
+            throw new Error(i18n.t('error.themePaletteSize', { max: this.maxPaletteSize }));
+        }
+        if (!data.palette.every(ThemeManager.isValidColor)) {
+            throw new Error(i18n.t('error.themePaletteColor'));
+        }
+
+        return {
+            id: String(data.id),
+            name,
+            dark: Boolean(data.dark),
+            background: data.background.map(color => color.toLowerCase()),
+            palette: Array.from(new Set(data.palette))
+        };
+    }
+
+    /**
+     * 为自定义颜色生成便签样式(浅色到主色的渐变,文字为加深的主色)
+     */
+    ensureColor(key) {
+        if (ThemeManager.namedColors[key] || this.colorRules.has(key) || !ThemeManager.isValidColor(key)) return;
+
+        if (!this.styleElement) {
+            this.styleElement = document.createElement('style');
+            document.head.appendChild(this.styleElement);
+        }
+
+        const base = ThemeManager.getColorValue(key);
+        this.styleElement.textContent += `.note.${key} { ` +
+            `background: linear-gradient(135deg, ${ThemeManager.mix(base, '#ffffff', 0.4)}, ${base}); ` +
+            `color: ${ThemeManager.mix(base, '#000000', 0.6)}; }\n`;
+        this.colorRules.add(key);
+    }
+
+    /**
+     * 是否为可用的便签颜色名
+     */
+    static isValidColor(key) {
+        return typeof key === 'string' && (key in ThemeManager.namedColors || /^c-[0-9a-f]{6}$/.test(key));
+    }
+
+    static isHexColor(value) {
+        return typeof value === 'string' && /^#[0-9a-fA-F]{6}$/.test(value);
+    }
+
+    /**
+     * 十六进制颜色对应的颜色名(#FFB3C6 -> c-ffb3c6)
+     */
+    static colorKey(hex) {
+        return `c-${hex.slice(1).toLowerCase()}`;
+    }
+
+    /**
+     * 颜色名对应的主色
+     */
+    static getColorValue(key) {
+        if (ThemeManager.namedColors[key]) {
+            return ThemeManager.namedColors[key];
+        }
+        return /^c-[0-9a-f]{6}$/.test(key) ? `#${key.slice(2)}` : '#ffffff';
+    }
+
+    /**
+     * 按比例混合两个十六进制颜色
+     */
+    static mix(hex, target, amount) {
+        const channels = (value) => [1, 3, 5].map(i => parseInt(value.slice(i, i + 2), 16));
+        const from = channels(hex);
+        const to = channels(target);
+        return '#' + from
+            .map((channel, i) => Math.round(channel + (to[i] - channel) * amount).toString(16).padStart(2, '0'))
+            .join('');
+    }
+}
+
+// 导出为全局变量
+window.ThemeManager = ThemeManager;
@@ -0,0 +1,275 @@
+/**
+ * 便签墙导出模块
+ * 在浏览器本地将整面便签墙(不限于当前可见区域)导出为 PNG 位图或 SVG 矢量图,不依赖任何外部服务
+ */
+
+class WallExporter {
+    // 画布尺寸上限: 超出时浏览器无法绘制,toBlob 返回 null(各浏览器上限不同,取较保守的值)
+    static maxCanvasSide = 16384;
+    static maxCanvasArea = 8192 * 8192;
+
+    constructor(generator) {
+        this.generator = generator;
+    }
+
+    /**
+     * 导出为 PNG
+     * @param {Object} options - { scale: 分辨率倍数, includeBackground: 是否包含主题背景 }
+     *   画面超出画布尺寸上限时自动降低分辨率
+     */
+    async exportPNG({ scale = 2, includeBackground = true } = {}) {
+        const scene = this.collectScene();
+        const maxScale = this.getMaxScale(scene.width, scene.height);
+        if (scale > maxScale) {
+            this.generator.log(i18n.t('log.exportScaleReduced', { scale: maxScale.toFixed(2) }));
+            scale = maxScale;
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(scene.width * scale);
+        canvas.height = Math.round(scene.height * scale);
+
+        const ctx = canvas.getContext('2d');
+        ctx.scale(scale, scale);
+
+        if (includeBackground) {
+            const gradient = ctx.createLinearGradient(0, 0, scene.width, scene.height);
+            scene.background.forEach((color, i, colors) => {
+                gradient.addColorStop(i / (colors.length - 1), color);
+            });
+            ctx.fillStyle = gradient;
+            ctx.fillRect(0, 0, scene.width, scene.height);
+        }
+
+        scene.notes.forEach(note => this.drawNote(ctx, note));
+
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        if (!blob) {
+            throw new Error(i18n.t('error.exportTooLarge', { width: canvas.width, height: canvas.height }));
+        }
+        this.download(blob, `${this.getFileName()}.png`);
+        this.generator.log(i18n.t('log.exportedPng', { width: canvas.width, height: canvas.height }));
+    }
+
+    /**
+     * 画面在画布尺寸上限内可用的最大分辨率倍数
+     */
+    getMaxScale(width, height) {
+        return Math.min(
+            WallExporter.maxCanvasSide / width,
+            WallExporter.maxCanvasSide / height,
+            Math.sqrt(WallExporter.maxCanvasArea / (width * height))
+        );
+    }
+
+    /**
+     * 导出为 SVG
+     */
+    exportSVG({ includeBackground = true } = {}) {
+        const scene = this.collectScene();
+        const defs = [];
+        const body = [];
+
+        if (includeBackground) {
+            const stops = scene.background.map((color, i, colors) =>
+                `<stop offset="${i / (colors.length - 1)}" stop-color="${color}"/>`
+            ).join('');
+            defs.push(`<linearGradient id="bg" x1="0" y1="0" x2="1" y2="1">${stops}</linearGradient>`);
+            body.push(`<rect width="${scene.width}" height="${scene.height}" fill="url(#bg)"/>`);
+        }
+
+        scene.notes.forEach((note, i) => {
+            const stops = note.gradient.map((color, j, colors) =>
+                `<stop offset="${colors.length > 1 ? j / (colors.length - 1) : 0}" stop-color="${color}"/>`
+            ).join('');
+            defs.push(`<linearGradient id="note-bg-${i}" x1="0" y1="0" x2="1" y2="1">${stops}</linearGradient>`);
+            defs.push(`<clipPath id="note-clip-${i}"><rect x="${note.x}" y="${note.y}" width="${note.width}" height="${note.height}" rx="${note.radius}"/></clipPath>`);
+
+            const textX = note.x + note.width / 2;
+            const tspans = note.lines.map((line, j) =>
+                `<tspan x="${textX}" y="${note.textTop + (j + 0.5) * note.lineHeight}">${this.escapeXML(line)}</tspan>`
+            ).join('');
+
+            const centerX = note.x + note.width / 2;
+            const centerY = note.y + note.height / 2;
+            const transform = `translate(${centerX} ${centerY}) rotate(${note.rotation}) scale(${note.scale}) translate(${-centerX} ${-centerY})`;
+
+            body.push(
+                `<g transform="${transform}"><g clip-path="url(#note-clip-${i})">` +
+                `<rect x="${note.x}" y="${note.y}" width="${note.width}" height="${note.height}" rx="${note.radius}" fill="url(#note-bg-${i})"/>` +
+                `<text fill="${note.color}" font-family="${this.escapeXML(note.fontFamily)}" font-size="${note.fontSize}" ` +
+                `font-weight="${note.fontWeight}" text-anchor="middle" dominant-baseline="central">${tspans}</text>` +
+                '</g></g>'
+            );
+        });
+
+        const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${scene.width}" height="${scene.height}" ` +
+            `viewBox="0 0 ${scene.width} ${scene.height}"><defs>${defs.join('')}</defs>${body.join('')}</svg>`;
+
+        this.download(new Blob([svg], { type: 'image/svg+xml' }), `${this.getFileName()}.svg`);
+        this.generator.log(i18n.t('log.exportedSvg', { count: scene.notes.length }));
+    }
+
+    /**
+     * 收集绘制所需信息(按层叠顺序从下到上)
+     * 画面范围为全部便签的包围盒加边距,便签坐标从世界坐标平移到画面坐标
+     */
+    collectScene(padding = 40) {
+        const canvasRect = this.generator.canvas.getBoundingClientRect();
+        const themeStyle = getComputedStyle(this.generator.canvas); // 主题背景变量由 body 或嵌入的便签墙继承下来
+
+        const notes = this.generator.getStackOrder().map(noteInfo => this.describeNote(noteInfo));
+
+        let width = canvasRect.width;
+        let height = canvasRect.height;
+        if (notes.length > 0) {
+            const bounds = WallViewport.getBounds(notes.map(note => this.generator.getNoteBounds(note)));
+            width = bounds.width + padding * 2;
+            height = bounds.height + padding * 2;
+            notes.forEach(note => {
+                note.x += padding - bounds.x;
+                note.y += padding - bounds.y;
+                note.textTop += padding - bounds.y;
+            });
+        }
+
+        return {
+            width,
+            height,
+            background: [1, 2, 3].map(i => themeStyle.getPropertyValue(`--bg-gradient-${i}`).trim()),
+            notes
+        };
+    }
+
+    /**
+     * 读取便签的实际渲染样式(颜色渐变、字号等以计算样式为准,兼容响应式尺寸)
+     */
+    describeNote(noteInfo) {
+        const element = this.generator.getElement(noteInfo.id);
+        const style = getComputedStyle(element);
+        const textEl = element.querySelector('.note-text');
+
+        const width = element.offsetWidth || noteInfo.width;
+        const height = element.offsetHeight || noteInfo.height;
+        const padding = parseFloat(style.paddingLeft) || 0;
+        const fontSize = parseFloat(style.fontSize) || 12;
+        const lineHeight = parseFloat(style.lineHeight) || fontSize * 1.3;
+        const fontWeight = style.fontWeight || '500';
+        const fontFamily = style.fontFamily || 'sans-serif';
+
+        // 与页面一致: 按实际宽度折行,超出行数时以省略号结尾
+        const fitter = this.generator.textFitter;
+        const maxLines = Math.max(1, Math.floor((height - padding * 2) / lineHeight));
+        const text = textEl ? textEl.textContent : NoteStore.displayText(noteInfo);
+        const lines = fitter.clampLines(
+            fitter.wrapText(text, width - padding * 2, `${fontWeight} ${fontSize}px ${fontFamily}`),
+            maxLines
+        );
+
+        return {
+            x: noteInfo.x,
+            y: noteInfo.y,
+            width,
+            height,
+            rotation: noteInfo.rotation || 0,
+            scale: noteInfo.scale || 1,
+            radius: parseFloat(style.borderTopLeftRadius) || 0,
+            gradient: this.parseGradientColors(style.backgroundImage),
+            color: style.color,
+            fontSize,
+            fontWeight,
+            fontFamily,
+            lineHeight,
+            lines,
+            textTop: noteInfo.y + (height - lines.length * lineHeight) / 2
+        };
+    }
+
+    /**
+     * 从 linear-gradient(...) 中提取颜色列表
+     */
+    parseGradientColors(backgroundImage) {
+        const colors = (backgroundImage || '').match(/rgba?\([^)]*\)|#[0-9a-fA-F]{3,8}/g);
+        return colors && colors.length > 0 ? colors : ['#fff9c4'];
+    }
+
+    /**
+     * 在 Canvas 上绘制单个便签
+     */
+    drawNote(ctx, note) {
+        ctx.save();
+
+        // 以便签中心为原点旋转和缩放
+        const centerX = note.x + note.width / 2;
+        const centerY = note.y + note.height / 2;
+        ctx.translate(centerX, centerY);
+        ctx.rotate(note.rotation * Math.PI / 180);
+        ctx.scale(note.scale, note.scale);
+        ctx.translate(-centerX, -centerY);
+
+        // 圆角矩形 + 阴影
+        ctx.beginPath();
+        ctx.roundRect(note.x, note.y, note.width, note.height, note.radius);
+        ctx.shadowColor = 'rgba(0, 0, 0, 0.12)';
+        ctx.shadowBlur = 10;
+        ctx.shadowOffsetY = 3;
+
+        const gradient = ctx.createLinearGradient(note.x, note.y, note.x + note.width, note.y + note.height);
+        note.gradient.forEach((color, i, colors) => {
+            gradient.addColorStop(colors.length > 1 ? i / (colors.length - 1) : 0, color);
+        });
+        ctx.fillStyle = gradient;
+        ctx.fill();
+
+        // 文字(裁剪到便签范围内,与页面上 overflow: hidden 一致)
+        ctx.shadowColor = 'transparent';
+        ctx.clip();
+        ctx.fillStyle = note.color;
+        ctx.font = `${note.fontWeight} ${note.fontSize}px ${note.fontFamily}`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        note.lines.forEach((line, i) => {
+            ctx.fillText(line, note.x + note.width / 2, note.textTop + (i + 0.5) * note.lineHeight);
+        });
+
+        ctx.restore();
+    }
+
+    /**
+     * 触发浏览器下载
+     */
+    download(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * 生成带时间戳的文件名
+     */
+    getFileName() {
+        const now = new Date();
+        const pad = (n) => String(n).padStart(2, '0');
+        return `note-wall-${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}` +
+            `-${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+    }
+
+    /**
+     * 转义 XML 特殊字符
+     */
+    escapeXML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+// 导出为全局变量
+window.WallExporter = WallExporter;
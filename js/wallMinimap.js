@@ -0,0 +1,115 @@
+/**
+ * 小地图模块
+ * 在角落缩略显示全部便签和当前可见区域,点击或拖动小地图可快速定位
+ */
+
+class WallMinimap {
+    constructor(canvasElement, viewport, generator, options = {}) {
+        this.canvas = canvasElement;
+        this.ctx = canvasElement.getContext('2d');
+        this.viewport = viewport;
+        this.generator = generator;
+        this.padding = 8; // 小地图内边距(像素)
+        this.transform = null; // 最近一次绘制时世界坐标到小地图坐标的映射
+        this.frame = null;
+
+        this.bind(options.signal); // 中止 signal 时移除窗口上的监听
+    }
+
+    /**
+     * 请求重绘(同一帧内的多次变化只绘制一次)
+     */
+    invalidate() {
+        if (this.frame) return;
+
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.draw();
+        });
+    }
+
+    /**
+     * 绘制便签和可见区域
+     */
+    draw() {
+        if (!this.ctx) return;
+
+        const { width, height } = this.canvas;
+        const visible = this.viewport.getVisibleRect();
+        const bounds = WallViewport.getBounds([visible, ...this.generator.notes]);
+        const scale = Math.min(
+            (width - this.padding * 2) / bounds.width,
+            (height - this.padding * 2) / bounds.height
+        );
+        const offsetX = (width - bounds.width * scale) / 2 - bounds.x * scale;
+        const offsetY = (height - bounds.height * scale) / 2 - bounds.y * scale;
+        this.transform = { scale, offsetX, offsetY };
+
+        this.ctx.clearRect(0, 0, width, height);
+
+        this.generator.notes.forEach(note => {
+            this.ctx.fillStyle = ThemeManager.getColorValue(note.color);
+            this.ctx.fillRect(
+                note.x * scale + offsetX,
+                note.y * scale + offsetY,
+                Math.max(1, note.width * scale),
+                Math.max(1, note.height * scale)
+            );
+        });
+
+        this.ctx.strokeStyle = 'rgba(102, 126, 234, 0.9)';
+        this.ctx.lineWidth = 1.5;
+        this.ctx.strokeRect(
+            visible.x * scale + offsetX,
+            visible.y * scale + offsetY,
+            visible.width * scale,
+            visible.height * scale
+        );
+    }
+
+    /**
+     * 点击或拖动小地图时,把对应位置移到画布中心
+     * 拖动期间沿用按下时的映射,避免小地图随视口重绘而跳动
+     */
+    bind(signal) {
+        let transform = null;
+        let pointerId = null;
+
+        const moveTo = (point) => {
+            if (!transform) return;
+
+            const rect = this.canvas.getBoundingClientRect();
+            // 小地图的显示尺寸可能与绘制尺寸不同
+            const px = (point.clientX - rect.left) * (this.canvas.width / rect.width);
+            const py = (point.clientY - rect.top) * (this.canvas.height / rect.height);
+            const { scale, offsetX, offsetY } = transform;
+
+            this.viewport.centerOn((px - offsetX) / scale, (py - offsetY) / scale);
+        };
+
+        this.canvas.addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+            pointerId = e.pointerId;
+            transform = this.transform;
+            moveTo(e);
+        });
+
+        window.addEventListener('pointermove', (e) => {
+            if (e.pointerId === pointerId) {
+                moveTo(e);
+            }
+        }, { signal });
+
+        const onPointerUp = (e) => {
+            if (e.pointerId === pointerId) {
+                pointerId = null;
+                transform = null;
+            }
+        };
+        window.addEventListener('pointerup', onPointerUp, { signal });
+        window.addEventListener('pointercancel', onPointerUp, { signal });
+    }
+}
+
+// 导出为全局变量
+window.WallMinimap = WallMinimap;
@@ -0,0 +1,210 @@
+/**
+ * 便签墙快照模块
+ * 将便签墙保存为带版本号的 JSON 文档,支持文件导入导出和 URL hash 分享链接
+ */
+
+class WallSnapshot {
+    constructor(app) {
+        this.app = app;
+        this.format = 'note-wall';
+        this.version = 2; // 快照格式版本,格式变化时递增(2: 出处 attribution 单独保存,层叠顺序 index 改为 z)
+        this.hashPrefix = '#wall=';
+    }
+
+    /**
+     * 生成当前便签墙的快照文档
+     */
+    create() {
+        const generator = this.app.generator;
+
+        return {
+            format: this.format,
+            version: this.version,
+            createdAt: new Date().toISOString(),
+            layout: generator.layoutName,
+            shape: generator.shapeSampler.source,
+            theme: this.app.getTheme(),
+            speed: this.app.generationSpeed,
+            notes: generator.notes.map(note => generator.toRecord(note))
+        };
+    }
+
+    /**
+     * 校验快照文档并补全缺省字段
+     * @throws {Error} 文档格式不正确时抛出,错误信息可直接展示给用户
+     */
+    validate(doc) {
+        if (!doc || typeof doc !== 'object' || doc.format !== this.format) {
+            throw new Error(i18n.t('error.snapshotFormat'));
+        }
+        if (!Number.isInteger(doc.version) || doc.version < 1 || doc.version > this.version) {
+            throw new Error(i18n.t('error.snapshotVersion', { version: doc.version }));
+        }
+        if (!Array.isArray(doc.notes)) {
+            throw new Error(i18n.t('error.snapshotNotes'));
+        }
+
+        const generator = this.app.generator;
+        const ids = new Set();
+        const notes = doc.notes.map((note, i) => {
+            if (!note || typeof note.text !== 'string') {
+                throw new Error(i18n.t('error.snapshotNoteText', { index: i + 1 }));
+            }
+            if (!Number.isFinite(note.x) || !Number.isFinite(note.y)) {
+                throw new Error(i18n.t('error.snapshotNotePosition', { index: i + 1 }));
+            }
+
+            const attribution = typeof note.attribution === 'string' && note.attribution ? note.attribution : null;
+            const size = generator.calculateNoteSize(NoteStore.displayText({ text: note.text, attribution }));
+            const id = typeof note.id === 'string' && !ids.has(note.id) ? note.id : generator.createNoteId();
+            ids.add(id);
+
+            return {
+                id,
+                text: note.text,
+                attribution,
+                color: ThemeManager.isValidColor(note.color) ? note.color : generator.getRandomColor(),
+                source: typeof note.source === 'string' ? note.source : 'local',
+                x: note.x,
+                y: note.y,
+                width: Number.isFinite(note.width) ? note.width : size.width,
+                height: Number.isFinite(note.height) ? note.height : size.height,
+                fontSize: Number.isFinite(note.fontSize) ? note.fontSize : size.fontSize,
+                rotation: Number.isFinite(note.rotation) ? note.rotation % 360 : 0,
+                scale: Number.isFinite(note.scale) ? Math.min(3, Math.max(0.3, note.scale)) : 1, // 与双指缩放范围一致
+                z: Number.isFinite(note.z) ? note.z : (Number.isFinite(note.index) ? note.index : i), // 旧快照的层叠顺序为 index
+                alwaysOnTop: note.alwaysOnTop === true,
+                pinned: note.pinned === true,
+                createdAt: Number.isFinite(note.createdAt) ? note.createdAt : Date.now()
+            };
+        });
+
+        return {
+            layout: generator.layouts.get(doc.layout) ? doc.layout : generator.layoutName,
+            shape: doc.shape && typeof doc.shape.value === 'string' ? doc.shape : null,
+            theme: this.app.themes.get(doc.theme) ? doc.theme : (doc.theme === 'dark' ? 'dark' : 'light'), // 对方没有的自定义主题按内置主题处理
+            speed: Number.isFinite(doc.speed)
+                ? Math.min(5000, Math.max(500, doc.speed)) // 与速度滑块范围一致
+                : this.app.generationSpeed,
+            notes
+        };
+    }
+
+    /**
+     * 加载快照(替换当前便签墙)
+     */
+    load(doc) {
+        const snapshot = this.validate(doc);
+        this.app.loadSnapshot(snapshot);
+        this.app.log(i18n.t('log.snapshotLoaded', { count: snapshot.notes.length }));
+    }
+
+    /**
+     * 下载当前便签墙的 JSON 快照
+     */
+    exportFile() {
+        const json = JSON.stringify(this.create(), null, 2);
+        const exporter = this.app.exporter;
+        exporter.download(new Blob([json], { type: 'application/json' }), `${exporter.getFileName()}.json`);
+    }
+
+    /**
+     * 从用户选择的 JSON 文件导入快照
+     */
+    async importFile(file) {
+        let doc;
+        try {
+            doc = JSON.parse(await file.text());
+        } catch (error) {
+            throw new Error(i18n.t('error.snapshotJson'));
+        }
+        this.load(doc);
+    }
+
+    /**
+     * 生成包含压缩快照的分享链接
+     */
+    async createShareLink() {
+        const encoded = await this.encode(this.create());
+        return `${location.origin}${location.pathname}${location.search}${this.hashPrefix}${encoded}`;
+    }
+
+    /**
+     * 如果 URL hash 中带有快照则加载
+     * @returns {Promise<boolean>} 是否加载了快照
+     */
+    async loadFromHash() {
+        if (!location.hash.startsWith(this.hashPrefix)) return false;
+
+        try {
+            const doc = await this.decode(location.hash.slice(this.hashPrefix.length));
+            this.load(doc);
+            return true;
+        } catch (error) {
+            console.error(i18n.t('log.shareInvalid'), error);
+            return false;
+        } finally {
+            // 移除 hash,避免刷新后覆盖之后的修改
+            history.replaceState(null, '', `${location.pathname}${location.search}`);
+        }
+    }
+
+    /**
+     * 快照编码为 URL 安全字符串
+     * 支持 CompressionStream 的浏览器使用 deflate 压缩(前缀 z.),否则直接编码(前缀 j.)
+     */
+    async encode(doc) {
+        const bytes = new TextEncoder().encode(JSON.stringify(doc));
+
+        if (typeof CompressionStream === 'function') {
+            const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+            const compressed = new Uint8Array(await new Response(stream).arrayBuffer());
+            return `z.${this.toBase64Url(compressed)}`;
+        }
+
+        return `j.${this.toBase64Url(bytes)}`;
+    }
+
+    /**
+     * 解码 URL 中的快照字符串
+     */
+    async decode(encoded) {
+        const [kind, data] = [encoded.slice(0, 2), encoded.slice(2)];
+        let bytes = this.fromBase64Url(data);
+
+        if (kind === 'z.') {
+            if (typeof DecompressionStream !== 'function') {
+                throw new Error(i18n.t('error.shareDecompress'));
+            }
+            const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+        } else if (kind !== 'j.') {
+            throw new Error(i18n.t('error.shareUnknown'));
+        }
+
+        return JSON.parse(new TextDecoder().decode(bytes));
+    }
+
+    /**
+     * 字节数组转 base64url
+     */
+    toBase64Url(bytes) {
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * base64url 转字节数组
+     */
+    fromBase64Url(text) {
+        const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+        return Uint8Array.from(binary, char => char.charCodeAt(0));
+    }
+}
+
+// 导出为全局变量
+window.WallSnapshot = WallSnapshot;
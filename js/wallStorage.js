@@ -0,0 +1,58 @@
+/**
+ * 便签墙持久化模块
+ * 将便签墙状态保存到 localStorage,刷新页面后恢复
+ */
+
+class WallStorage {
+    constructor(storageKey = 'noteWallState') {
+        this.storageKey = storageKey;
+        this.version = 1; // 存储格式版本,格式变化时递增
+    }
+
+    /**
+     * 读取保存的便签墙状态
+     * @returns {Object|null} 状态对象,不存在或损坏时返回 null
+     */
+    load() {
+        try {
+            const raw = localStorage.getItem(this.storageKey);
+            if (!raw) return null;
+
+            const state = JSON.parse(raw);
+            if (!state || state.version !== this.version || !Array.isArray(state.notes)) {
+                console.warn(i18n.t('log.storageIncompatible'));
+                return null;
+            }
+
+            return state;
+        } catch (error) {
+            console.error(i18n.t('log.storageLoadFailed'), error);
+            return null;
+        }
+    }
+
+    /**
+     * 保存便签墙状态
+     */
+    save(state) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                ...state,
+                version: this.version
+            }));
+        } catch (error) {
+            // 存储空间不足或隐私模式下 localStorage 不可用
+            console.error(i18n.t('log.storageSaveFailed'), error);
+        }
+    }
+
+    /**
+     * 删除保存的状态
+     */
+    clear() {
+        localStorage.removeItem(this.storageKey);
+    }
+}
+
+// 导出为全局变量
+window.WallStorage = WallStorage;
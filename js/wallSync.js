@@ -0,0 +1,273 @@
+/**
+ * 便签墙同步模块
+ * 把本地的新建、修改、移动、层叠顺序调整和删除广播给其他标签页或设备,并合并收到的修改
+ *
+ * 冲突规则(逐个便签的最后写入者胜出):
+ *   每个便签带有版本号 version 和最后修改者 editor,本地每次修改版本号加一
+ *   收到的修改只有在 (version, editor) 大于本地时才生效,版本号相同时按 editor 字符串比较,各端结果一致
+ *   删除的便签留下墓碑(版本号),较旧的修改不会让它重新出现
+ *   正在拖动的便签不应用远端位置,松手后本地版本号更高,以本地位置为准
+ *   数量上限、存活时间和轮换模式淘汰的便签只从本地移除,不广播也不留墓碑: 各端按自己的策略淘汰,不会删除其他便签墙上的便签
+ *
+ * 消息: hello/state { notes, removed } 连接后交换全部状态;upsert { notes };remove { id, version, editor }
+ */
+
+class WallSync {
+    /**
+     * @param {NoteGenerator} generator
+     * @param {Object} options - { events: 派发便签事件的 EventTarget, onAdd(noteElement), onRemove() }
+     */
+    constructor(generator, options = {}) {
+        this.generator = generator;
+        this.events = options.events;
+        this.onAdd = options.onAdd || (() => {}); // 收到新便签后回调(绑定交互并刷新计数)
+        this.onRemove = options.onRemove || (() => {}); // 远端删除便签后回调
+        this.clientId = options.clientId || WallSync.createClientId();
+        this.transports = [];
+        this.tombstones = new Map(); // 已删除便签: id -> { version, editor }
+        this.applying = false; // 正在应用远端修改(不再广播)
+        this.maxTextLength = 2000; // 远端便签文字的长度上限
+    }
+
+    static createClientId() {
+        return window.crypto && crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random()}`;
+    }
+
+    /**
+     * 比较两个版本: a 是否比 b 新
+     */
+    static isNewer(a, b) {
+        if (a.version !== b.version) return a.version > b.version;
+        return a.editor > b.editor;
+    }
+
+    /**
+     * 便签当前的版本
+     */
+    static clockOf(noteInfo) {
+        return { version: noteInfo.version || 0, editor: noteInfo.editor || '' };
+    }
+
+    /**
+     * 监听本地便签事件
+     * @param {AbortSignal} [signal] - 中止时停止监听
+     */
+    bind(signal) {
+        ['notecreated', 'noteupdated'].forEach(type => {
+            this.events.addEventListener(type, (e) => this.onLocalChange([e.detail.note]), { signal });
+        });
+        ['notemoved', 'notereordered'].forEach(type => {
+            this.events.addEventListener(type, (e) => this.onLocalChange(e.detail.notes), { signal });
+        });
+        this.events.addEventListener('noteremoved', (e) => {
+            if (!e.detail.expired) {
+                this.onLocalRemove(e.detail.note);
+            }
+        }, { signal });
+    }
+
+    /**
+     * 添加传输层,连接后与对方交换全部状态
+     */
+    addTransport(transport) {
+        this.transports.push(transport);
+        transport.open(
+            (message) => this.receive(message, transport),
+            () => {
+                this.generator.log(i18n.t('log.syncConnected', { label: transport.label }));
+                transport.send(this.createMessage('hello', this.getState()));
+            }
+        );
+    }
+
+    /**
+     * 断开所有传输层
+     */
+    close() {
+        this.transports.forEach(transport => transport.close());
+        this.transports = [];
+    }
+
+    createMessage(type, payload) {
+        return { type, from: this.clientId, ...payload };
+    }
+
+    broadcast(type, payload) {
+        const message = this.createMessage(type, payload);
+        this.transports.forEach(transport => transport.send(message));
+    }
+
+    /**
+     * 全部便签和墓碑
+     */
+    getState() {
+        return {
+            notes: this.generator.notes.map(note => this.generator.toRecord(note)),
+            removed: [...this.tombstones].map(([id, clock]) => ({ id, ...clock }))
+        };
+    }
+
+    /**
+     * 本地新建/修改/移动: 版本号加一后广播
+     */
+    onLocalChange(records) {
+        if (this.applying) return;
+
+        const notes = records
+            .map(record => this.generator.findNote(record.id))
+            .filter(Boolean)
+            .map(note => {
+                const tombstone = this.tombstones.get(note.id);
+                this.generator.store.update(note.id, {
+                    version: Math.max(note.version || 0, tombstone ? tombstone.version : 0) + 1,
+                    editor: this.clientId
+                });
+                this.tombstones.delete(note.id); // 撤销删除时重新出现
+                return this.generator.toRecord(note);
+            });
+
+        if (notes.length > 0) {
+            this.broadcast('upsert', { notes });
+        }
+    }
+
+    /**
+     * 本地删除: 留下墓碑并广播
+     */
+    onLocalRemove(record) {
+        if (this.applying) return;
+
+        const clock = { version: (record.version || 0) + 1, editor: this.clientId };
+        this.tombstones.set(record.id, clock);
+        this.broadcast('remove', { id: record.id, ...clock });
+    }
+
+    /**
+     * 处理收到的消息
+     */
+    receive(message, transport) {
+        if (!message || typeof message !== 'object' || message.from === this.clientId) return;
+
+        this.applying = true;
+        try {
+            switch (message.type) {
+                case 'hello':
+                    this.merge(message);
+                    transport.send(this.createMessage('state', this.getState()));
+                    break;
+                case 'state':
+                    this.merge(message);
+                    break;
+                case 'upsert':
+                    (Array.isArray(message.notes) ? message.notes : []).forEach(note => this.applyUpsert(note));
+                    break;
+                case 'remove':
+                    this.applyRemove(message);
+                    break;
+            }
+        } catch (error) {
+            console.warn(i18n.t('log.syncApplyFailed'), error);
+        } finally {
+            this.applying = false;
+        }
+    }
+
+    /**
+     * 合并对方的全部状态
+     */
+    merge({ notes, removed }) {
+        (Array.isArray(removed) ? removed : []).forEach(tombstone => this.applyRemove(tombstone));
+        (Array.isArray(notes) ? notes : []).forEach(note => this.applyUpsert(note));
+    }
+
+    /**
+     * 校验远端便签记录,尺寸按本地文字测量重新计算
+     * @returns {Object|null}
+     */
+    normalize(note) {
+        if (!note || typeof note.id !== 'string' || typeof note.text !== 'string' ||
+            note.text.length > this.maxTextLength || !Number.isFinite(note.x) || !Number.isFinite(note.y)) {
+            return null;
+        }
+
+        const attribution = typeof note.attribution === 'string' && note.attribution ? note.attribution : null;
+        const size = this.generator.calculateNoteSize(NoteStore.displayText({ text: note.text, attribution }));
+        return {
+            id: note.id,
+            text: note.text,
+            attribution,
+            color: ThemeManager.isValidColor(note.color) ? note.color : this.generator.getRandomColor(),
+            source: typeof note.source === 'string' ? note.source : 'local',
+            x: note.x,
+            y: note.y,
+            width: size.width,
+            height: size.height,
+            fontSize: size.fontSize,
+            rotation: Number.isFinite(note.rotation) ? note.rotation % 360 : 0,
+            scale: Number.isFinite(note.scale) ? Math.min(3, Math.max(0.3, note.scale)) : 1,
+            z: Number.isFinite(note.z) ? note.z : this.generator.store.nextZ(),
+            alwaysOnTop: note.alwaysOnTop === true,
+            pinned: note.pinned === true,
+            createdAt: Number.isFinite(note.createdAt) ? note.createdAt : Date.now(),
+            version: Number.isInteger(note.version) && note.version >= 0 ? note.version : 0, // 开启同步前的便签没有版本
+            editor: typeof note.editor === 'string' ? note.editor : ''
+        };
+    }
+
+    /**
+     * 应用远端的新建/修改/移动
+     */
+    applyUpsert(note) {
+        const record = this.normalize(note);
+        if (!record) return;
+
+        const local = this.generator.findNote(record.id);
+        if (!local) {
+            const tombstone = this.tombstones.get(record.id);
+            if (tombstone && !WallSync.isNewer(record, tombstone)) return;
+
+            this.tombstones.delete(record.id);
+            this.onAdd(this.generator.addNote(record));
+            return;
+        }
+
+        if (!WallSync.isNewer(record, WallSync.clockOf(local))) return;
+
+        const element = this.generator.getElement(local.id);
+        if (record.text !== local.text && !element.classList.contains('editing')) {
+            this.generator.updateNoteText(element, record.text);
+        }
+        if (record.pinned !== Boolean(local.pinned)) {
+            this.generator.setNotePinned(element, record.pinned);
+        }
+        if (!element.classList.contains('dragging')) {
+            const { id, x, y, rotation, scale } = record;
+            this.generator.moveNotes([{ id, x, y, rotation, scale }]);
+        }
+        this.generator.setNoteLayers([{ id: record.id, z: record.z, alwaysOnTop: record.alwaysOnTop }]);
+
+        this.generator.store.update(local.id, { version: record.version, editor: record.editor });
+    }
+
+    /**
+     * 应用远端的删除
+     */
+    applyRemove({ id, version, editor }) {
+        if (typeof id !== 'string' || !Number.isInteger(version) || typeof editor !== 'string') return;
+
+        const clock = { version, editor };
+        const tombstone = this.tombstones.get(id);
+        if (!tombstone || WallSync.isNewer(clock, tombstone)) {
+            this.tombstones.set(id, clock);
+        }
+
+        const local = this.generator.findNote(id);
+        if (local && WallSync.isNewer(clock, WallSync.clockOf(local))) {
+            this.generator.removeNote(this.generator.getElement(id));
+            this.onRemove();
+        }
+    }
+}
+
+// 导出为全局变量
+window.WallSync = WallSync;
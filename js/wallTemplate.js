@@ -0,0 +1,217 @@
+/**
+ * 便签墙界面模板
+ * 生成一面便签墙的画布、小地图、浮层和控制面板,元素以 data-ref 标识而不是 id,同一页面可以有多面便签墙
+ * 文字以 data-i18n 属性标记,按当前语言填充(见 I18n.translate)
+ */
+
+class WallTemplate {
+    /**
+     * 在容器中生成便签墙界面(会替换容器原有内容)
+     */
+    static render(container) {
+        container.classList.add('note-wall');
+        container.innerHTML = WallTemplate.html();
+        i18n.translate(container);
+    }
+
+    /**
+     * 按 data-ref 查找便签墙内的元素
+     */
+    static ref(container, name) {
+        return container.querySelector(`[data-ref="${name}"]`);
+    }
+
+    static html() {
+        return `
+            <!-- 便签画布 -->
+            <div data-ref="noteCanvas" class="note-canvas" role="region" data-i18n-label="ui.wall">
+                <!-- 便签将动态生成在这里 -->
+            </div>
+
+            <!-- 读屏辅助: 键盘操作说明和新便签播报 -->
+            <p data-ref="keyboardHelp" class="visually-hidden" data-i18n="ui.keyboardHelp"></p>
+            <div data-ref="announcer" class="visually-hidden" aria-live="polite"></div>
+
+            <!-- 小地图 -->
+            <canvas data-ref="minimap" class="minimap" width="180" height="120" data-i18n-title="ui.minimap"></canvas>
+
+            <!-- 便签全文 -->
+            <div data-ref="noteReader" class="note-reader" role="dialog" aria-modal="true" data-i18n-label="ui.reader" hidden>
+                <div class="note-reader-card">
+                    <button class="note-reader-close" data-i18n-title="ui.close">×</button>
+                    <p class="note-reader-text"></p>
+                    <div class="note-reader-source"></div>
+                </div>
+            </div>
+
+            <!-- 便签右键菜单 -->
+            <div data-ref="noteMenu" class="note-menu" role="menu" hidden>
+                <button type="button" role="menuitem" data-action="front" data-i18n="menu.front"></button>
+                <button type="button" role="menuitem" data-action="back" data-i18n="menu.back"></button>
+                <button type="button" role="menuitem" data-action="on-top" data-i18n="menu.onTop"></button>
+            </div>
+
+            <!-- 主题编辑器 -->
+            <div data-ref="themeEditor" class="theme-editor" hidden>
+                <form class="theme-editor-card">
+                    <button type="button" class="modal-close" data-i18n-title="ui.close">×</button>
+                    <label class="theme-editor-field">
+                        <span data-i18n="themeEditor.name"></span> <input type="text" name="name" class="compact-input" maxlength="20">
+                    </label>
+                    <label class="compact-check">
+                        <input type="checkbox" name="dark"> <span data-i18n="themeEditor.dark"></span>
+                    </label>
+                    <div class="theme-editor-field">
+                        <span data-i18n="themeEditor.background"></span> <span class="theme-swatches" data-role="background"></span>
+                    </div>
+                    <div class="theme-editor-field">
+                        <span data-i18n="themeEditor.palette"></span> <span class="theme-swatches" data-role="palette"></span>
+                        <button type="button" class="icon-btn primary" data-action="add" data-i18n-title="themeEditor.addColor">
+                            <span class="icon" aria-hidden="true">+</span>
+                        </button>
+                    </div>
+                    <div class="theme-editor-error"></div>
+                    <div class="theme-editor-actions">
+                        <button type="button" class="icon-btn danger" data-action="delete" data-i18n-title="themeEditor.delete">
+                            <span class="icon" aria-hidden="true">🗑</span>
+                        </button>
+                        <button type="submit" class="icon-btn primary" data-i18n-title="themeEditor.save">
+                            <span class="icon" aria-hidden="true">✓</span>
+                        </button>
+                    </div>
+                </form>
+            </div>
+
+            <!-- 紧凑控制面板(悬浮卡片) -->
+            <div class="compact-control-panel collapsed" data-ref="controlPanel">
+                <button data-ref="togglePanelBtn" class="toggle-compact-btn" aria-expanded="false" data-i18n-title="panel.toggle">
+                    <span class="icon" aria-hidden="true">⚙️</span>
+                </button>
+
+                <div class="compact-content">
+                    <div class="compact-row">
+                        <span data-ref="noteCount" class="count-badge">0</span>
+                        <span data-ref="seedBadge" class="count-badge seed-badge" data-i18n-title="panel.seed" hidden></span>
+                        <button data-ref="toggleBtn" class="icon-btn primary" data-i18n-title="panel.start">
+                            <span class="icon" aria-hidden="true">▶</span>
+                        </button>
+                        <button data-ref="clearBtn" class="icon-btn danger" data-i18n-title="panel.clear">
+                            <span class="icon" aria-hidden="true">🗑</span>
+                        </button>
+                        <button data-ref="debugBtn" class="icon-btn debug-btn" aria-pressed="false" data-i18n-title="panel.debug">
+                            <span class="icon" aria-hidden="true">🐛</span>
+                        </button>
+                        <button data-ref="undoBtn" class="icon-btn primary" data-i18n-title="panel.undo">
+                            <span class="icon" aria-hidden="true">↶</span>
+                        </button>
+                        <button data-ref="redoBtn" class="icon-btn primary" data-i18n-title="panel.redo">
+                            <span class="icon" aria-hidden="true">↷</span>
+                        </button>
+                    </div>
+                    <div class="compact-row source-list" data-ref="sourceList" data-i18n-title="panel.sources"></div>
+                    <div class="compact-row source-list" data-ref="categoryList" data-i18n-title="panel.categories"></div>
+                    <div class="compact-row">
+                        <button data-ref="zoomOutBtn" class="icon-btn primary" data-i18n-title="panel.zoomOut">
+                            <span class="icon" aria-hidden="true">−</span>
+                        </button>
+                        <button data-ref="zoomResetBtn" class="compact-zoom" data-i18n-title="panel.zoomReset">100%</button>
+                        <button data-ref="zoomInBtn" class="icon-btn primary" data-i18n-title="panel.zoomIn">
+                            <span class="icon" aria-hidden="true">+</span>
+                        </button>
+                        <button data-ref="fitBtn" class="icon-btn primary" data-i18n-title="panel.fit">
+                            <span class="icon" aria-hidden="true">⤢</span>
+                        </button>
+                    </div>
+                    <div class="compact-row">
+                        <select data-ref="themeSelect" class="compact-select" data-i18n-title="panel.theme"></select>
+                        <button data-ref="themeEditBtn" class="icon-btn primary" data-i18n-title="panel.editTheme">
+                            <span class="icon" aria-hidden="true">🎨</span>
+                        </button>
+                    </div>
+                    <div class="compact-row">
+                        <select data-ref="layoutSelect" class="compact-select" data-i18n-title="panel.layout"></select>
+                    </div>
+                    <div class="compact-row">
+                        <select data-ref="localeSelect" class="compact-select" data-i18n-title="panel.language"></select>
+                    </div>
+                    <div class="compact-row" data-ref="shapeRow" hidden>
+                        <input type="text" data-ref="shapeInput" class="compact-input" data-i18n-placeholder="panel.shape" data-i18n-title="panel.shapeHint">
+                        <button data-ref="shapeApplyBtn" class="icon-btn primary" data-i18n-title="panel.applyShape">
+                            <span class="icon" aria-hidden="true">✓</span>
+                        </button>
+                    </div>
+                    <div class="compact-row" data-ref="alignRow" hidden>
+                        <button class="icon-btn primary" data-align="left" data-i18n-title="align.left">
+                            <span class="icon" aria-hidden="true">⇤</span>
+                        </button>
+                        <button class="icon-btn primary" data-align="center" data-i18n-title="align.center">
+                            <span class="icon" aria-hidden="true">↔</span>
+                        </button>
+                        <button class="icon-btn primary" data-align="top" data-i18n-title="align.top">
+                            <span class="icon" aria-hidden="true">⤒</span>
+                        </button>
+                        <button class="icon-btn primary" data-distribute="horizontal" data-i18n-title="panel.distributeHorizontal">
+                            <span class="icon" aria-hidden="true">⋯</span>
+                        </button>
+                        <button class="icon-btn primary" data-distribute="vertical" data-i18n-title="panel.distributeVertical">
+                            <span class="icon" aria-hidden="true">⋮</span>
+                        </button>
+                    </div>
+                    <div class="compact-row">
+                        <select data-ref="exportFormat" class="compact-select" data-i18n-title="panel.exportFormat">
+                            <option value="png@1">PNG 1x</option>
+                            <option value="png@2" selected>PNG 2x</option>
+                            <option value="png@4">PNG 4x</option>
+                            <option value="svg">SVG</option>
+                        </select>
+                        <label class="compact-check" data-i18n-title="panel.exportBackgroundHint">
+                            <input type="checkbox" data-ref="exportBackground" checked> <span data-i18n="panel.exportBackground"></span>
+                        </label>
+                        <button data-ref="exportBtn" class="icon-btn primary" data-i18n-title="panel.export">
+                            <span class="icon" aria-hidden="true">📷</span>
+                        </button>
+                    </div>
+                    <div class="compact-row">
+                        <button data-ref="saveSnapshotBtn" class="icon-btn primary" data-i18n-title="panel.saveSnapshot">
+                            <span class="icon" aria-hidden="true">💾</span>
+                        </button>
+                        <button data-ref="loadSnapshotBtn" class="icon-btn primary" data-i18n-title="panel.loadSnapshot">
+                            <span class="icon" aria-hidden="true">📂</span>
+                        </button>
+                        <input type="file" data-ref="snapshotFileInput" accept=".json,application/json" hidden>
+                        <button data-ref="shareBtn" class="icon-btn primary" data-i18n-title="panel.share">
+                            <span class="icon" aria-hidden="true">🔗</span>
+                        </button>
+                    </div>
+                    <div class="compact-row" data-ref="policyRow">
+                        <input type="number" data-ref="maxNotesInput" class="compact-input compact-number" min="0" step="10" data-i18n-placeholder="panel.maxNotes" data-i18n-title="panel.maxNotesHint">
+                        <input type="number" data-ref="ttlInput" class="compact-input compact-number" min="0" step="10" data-i18n-placeholder="panel.ttl" data-i18n-title="panel.ttlHint">
+                        <label class="compact-check" data-i18n-title="panel.rotateHint">
+                            <input type="checkbox" data-ref="rotateCheck"> <span data-i18n="panel.rotate"></span>
+                        </label>
+                    </div>
+                    <div class="compact-slider">
+                        <input type="range" data-ref="speedSlider" min="500" max="5000" value="2000" step="100">
+                        <span data-ref="speedValue" class="speed-label">2.0s</span>
+                    </div>
+                </div>
+            </div>
+
+            <!-- 主题切换按钮 -->
+            <button data-ref="themeToggle" class="theme-toggle" data-i18n-title="ui.themeToggle">
+                <span class="icon" aria-hidden="true">🌙</span>
+            </button>
+
+            <!-- 全屏按钮 -->
+            <button data-ref="fullscreenBtn" class="theme-toggle fullscreen-toggle" data-i18n-title="ui.fullscreen">
+                <span class="icon" aria-hidden="true">⛶</span>
+            </button>
+
+            <!-- URL 参数警告(调试模式下显示) -->
+            <div data-ref="kioskWarning" class="kiosk-warning" hidden></div>
+        `;
+    }
+}
+
+// 导出为全局变量
+window.WallTemplate = WallTemplate;
@@ -0,0 +1,298 @@
+/**
+ * 无限画布视口模块
+ * 便签放在可平移、缩放的世界层中,便签坐标均为世界坐标
+ * 滚轮/双指缩放,在空白处拖动平移,支持一键显示全部便签
+ */
+
+class WallViewport {
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.onChange = options.onChange || (() => {}); // 视口变化回调(刷新缩放比例和小地图)
+        this.storageKey = 'storageKey' in options ? options.storageKey : 'wallViewport'; // 为 null 时不保存
+        this.minZoom = 0.1;
+        this.maxZoom = 4;
+        this.x = 0; // 世界原点在屏幕上的位置(相对画布)
+        this.y = 0;
+        this.zoom = 1;
+        this.saveDelay = 300; // 平移/缩放停止后多久保存(ms),拖动和滚轮过程中不反复写入 localStorage
+        this.saveTimeout = null;
+        this.gesture = null; // 平移/双指缩放手势状态
+        this.pointers = new Map(); // 在空白处按下的指针: pointerId -> { x, y } 屏幕坐标
+
+        // 世界层: 便签的容器,通过 transform 实现平移和缩放
+        this.world = document.createElement('div');
+        this.world.className = 'note-world';
+        canvas.appendChild(this.world);
+
+        this.load();
+        this.apply();
+    }
+
+    /**
+     * 从 localStorage 恢复视口
+     */
+    load() {
+        if (!this.storageKey) return;
+
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            if (saved && [saved.x, saved.y, saved.zoom].every(Number.isFinite)) {
+                this.x = saved.x;
+                this.y = saved.y;
+                this.zoom = this.clampZoom(saved.zoom);
+            }
+        } catch (error) {
+            console.warn(i18n.t('log.viewportLoadFailed'), error);
+        }
+    }
+
+    /**
+     * 保存视口到 localStorage
+     */
+    save() {
+        clearTimeout(this.saveTimeout);
+        this.saveTimeout = null;
+        if (!this.storageKey) return;
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ x: this.x, y: this.y, zoom: this.zoom }));
+        } catch (error) {
+            // 存储空间不足或隐私模式下 localStorage 不可用
+            console.error(i18n.t('log.viewportSaveFailed'), error);
+        }
+    }
+
+    /**
+     * 视口停止变化后再保存
+     */
+    scheduleSave() {
+        clearTimeout(this.saveTimeout);
+        this.saveTimeout = setTimeout(() => this.save(), this.saveDelay);
+    }
+
+    /**
+     * 立即写入尚未保存的视口(离开页面或卸载便签墙时)
+     */
+    flushSave() {
+        if (this.saveTimeout) {
+            this.save();
+        }
+    }
+
+    /**
+     * 把视口应用到世界层
+     */
+    apply() {
+        this.world.style.transform = `translate(${this.x}px, ${this.y}px) scale(${this.zoom})`;
+        this.canvas.style.setProperty('--wall-zoom', this.zoom);
+    }
+
+    /**
+     * 视口变化后刷新并保存
+     */
+    update() {
+        this.apply();
+        this.scheduleSave();
+        this.onChange(this);
+    }
+
+    clampZoom(zoom) {
+        return Math.min(this.maxZoom, Math.max(this.minZoom, zoom));
+    }
+
+    /**
+     * 是否点在画布空白处
+     */
+    isBackground(target) {
+        return target === this.canvas || target === this.world;
+    }
+
+    /**
+     * 屏幕坐标转换为世界坐标
+     */
+    screenToWorld(clientX, clientY) {
+        const canvasRect = this.canvas.getBoundingClientRect();
+        return {
+            x: (clientX - canvasRect.left - this.x) / this.zoom,
+            y: (clientY - canvasRect.top - this.y) / this.zoom
+        };
+    }
+
+    /**
+     * 当前可见区域(世界坐标)
+     */
+    getVisibleRect() {
+        const canvasRect = this.canvas.getBoundingClientRect();
+        return {
+            x: -this.x / this.zoom,
+            y: -this.y / this.zoom,
+            width: canvasRect.width / this.zoom,
+            height: canvasRect.height / this.zoom
+        };
+    }
+
+    /**
+     * 以屏幕上的某点为中心缩放(默认画布中心)
+     */
+    setZoom(zoom, clientX, clientY) {
+        const canvasRect = this.canvas.getBoundingClientRect();
+        const anchorX = (clientX ?? canvasRect.left + canvasRect.width / 2) - canvasRect.left;
+        const anchorY = (clientY ?? canvasRect.top + canvasRect.height / 2) - canvasRect.top;
+        const newZoom = this.clampZoom(zoom);
+
+        // 保持锚点下的世界坐标不变
+        this.x = anchorX - (anchorX - this.x) * newZoom / this.zoom;
+        this.y = anchorY - (anchorY - this.y) * newZoom / this.zoom;
+        this.zoom = newZoom;
+        this.update();
+    }
+
+    zoomBy(factor, clientX, clientY) {
+        this.setZoom(this.zoom * factor, clientX, clientY);
+    }
+
+    /**
+     * 平移(屏幕像素)
+     */
+    panBy(dx, dy) {
+        this.x += dx;
+        this.y += dy;
+        this.update();
+    }
+
+    /**
+     * 把世界坐标中的点移到画布中心
+     */
+    centerOn(worldX, worldY) {
+        const canvasRect = this.canvas.getBoundingClientRect();
+        this.x = canvasRect.width / 2 - worldX * this.zoom;
+        this.y = canvasRect.height / 2 - worldY * this.zoom;
+        this.update();
+    }
+
+    /**
+     * 缩放并平移,使所有区域都可见
+     * @param {Array<{x, y, width, height}>} rects - 世界坐标中的矩形(通常是全部便签)
+     */
+    fitAll(rects, padding = 40) {
+        if (rects.length === 0) {
+            this.reset();
+            return;
+        }
+
+        const bounds = WallViewport.getBounds(rects);
+        const canvasRect = this.canvas.getBoundingClientRect();
+        const zoom = Math.min(
+            (canvasRect.width - padding * 2) / bounds.width,
+            (canvasRect.height - padding * 2) / bounds.height,
+            1
+        );
+
+        this.zoom = this.clampZoom(zoom);
+        this.centerOn(bounds.x + bounds.width / 2, bounds.y + bounds.height / 2);
+    }
+
+    /**
+     * 恢复到原点和 100% 缩放
+     */
+    reset() {
+        this.x = 0;
+        this.y = 0;
+        this.zoom = 1;
+        this.update();
+    }
+
+    /**
+     * 绑定滚轮缩放、拖动平移和双指缩放(Pointer Events,鼠标和触摸共用)
+     * @param {AbortSignal} [signal] - 中止时移除窗口上的监听
+     */
+    bind(signal) {
+        this.canvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            this.zoomBy(Math.exp(-e.deltaY * 0.0015), e.clientX, e.clientY);
+        }, { passive: false });
+
+        // 在空白处按下的指针: 一个时平移,两个时缩放(Shift+拖动留给框选)
+
+        this.canvas.addEventListener('pointerdown', (e) => {
+            if (!this.isBackground(e.target)) return;
+            if (e.pointerType === 'mouse' && (e.button !== 0 || e.shiftKey)) return;
+
+            this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            this.startGesture();
+        });
+
+        window.addEventListener('pointermove', (e) => {
+            if (!this.pointers.has(e.pointerId)) return;
+
+            this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            this.moveGesture();
+        }, { signal });
+
+        const onPointerUp = (e) => {
+            if (!this.pointers.delete(e.pointerId)) return;
+
+            if (this.pointers.size > 0) {
+                this.startGesture();
+            } else {
+                this.endGesture();
+            }
+        };
+        window.addEventListener('pointerup', onPointerUp, { signal });
+        window.addEventListener('pointercancel', onPointerUp, { signal });
+        window.addEventListener('pagehide', () => this.flushSave(), { signal });
+    }
+
+    /**
+     * 按当前指针记录手势起点(指针数量变化时重新开始,避免跳动)
+     */
+    startGesture() {
+        const [a, b] = this.pointers.values();
+        this.gesture = b
+            ? { distance: Math.hypot(a.x - b.x, a.y - b.y), midX: (a.x + b.x) / 2, midY: (a.y + b.y) / 2 }
+            : { distance: 0, midX: a.x, midY: a.y };
+        this.canvas.classList.add('panning');
+    }
+
+    /**
+     * 中点移动时平移,两指间距变化时以中点缩放
+     */
+    moveGesture() {
+        const gesture = this.gesture;
+        const [a, b] = this.pointers.values();
+        const distance = b ? Math.hypot(a.x - b.x, a.y - b.y) : 0;
+        const midX = b ? (a.x + b.x) / 2 : a.x;
+        const midY = b ? (a.y + b.y) / 2 : a.y;
+
+        this.x += midX - gesture.midX;
+        this.y += midY - gesture.midY;
+        if (gesture.distance > 0 && distance > 0) {
+            this.zoomBy(distance / gesture.distance, midX, midY);
+        } else {
+            this.update();
+        }
+
+        gesture.distance = distance;
+        gesture.midX = midX;
+        gesture.midY = midY;
+    }
+
+    endGesture() {
+        this.gesture = null;
+        this.canvas.classList.remove('panning');
+    }
+
+    /**
+     * 计算一组矩形的包围盒
+     */
+    static getBounds(rects) {
+        const left = Math.min(...rects.map(rect => rect.x));
+        const top = Math.min(...rects.map(rect => rect.y));
+        const right = Math.max(...rects.map(rect => rect.x + rect.width));
+        const bottom = Math.max(...rects.map(rect => rect.y + rect.height));
+        return { x: left, y: top, width: right - left, height: bottom - top };
+    }
+}
+
+// 导出为全局变量
+window.WallViewport = WallViewport;
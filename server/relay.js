@@ -0,0 +1,216 @@
+/**
+ * 便签墙同步中继服务器(参考实现,只依赖 Node 内置模块)
+ * 把每条消息原样转发给同一房间的其他连接,不保存状态;连接后由各端互相交换全部便签
+ *
+ * 运行: node server/relay.js [端口]      默认 8787
+ * 连接: index.html?relay=ws://localhost:8787/lobby   路径为房间名
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = Number(process.argv[2] || process.env.PORT || 8787);
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_SIZE = 1024 * 1024; // 单条消息上限(字节),超过时断开
+
+const rooms = new Map(); // 房间名 -> Set<socket>
+
+// 关闭码(RFC 6455 §7.4.1)
+const CLOSE_PROTOCOL_ERROR = 1002; // 未加掩码的客户端帧、未知的操作码
+const CLOSE_UNSUPPORTED_DATA = 1003; // 二进制消息(只转发文本消息)
+const CLOSE_TOO_LARGE = 1009; // 消息超过 MAX_MESSAGE_SIZE
+
+/**
+ * 编码一个服务器发出的帧(不加掩码)
+ */
+function encodeFrame(opcode, payload) {
+    const length = payload.length;
+    let header;
+
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * 从缓冲区解析一个客户端帧(客户端必须加掩码,见 RFC 6455 §5.1,由调用方检查 masked)
+ * @returns {{fin: boolean, opcode: number, masked: boolean, payload: Buffer, size: number}|null} 数据不完整时为 null
+ */
+function decodeFrame(buffer) {
+    if (buffer.length < 2) return null;
+
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+
+    if (length === 126) {
+        if (buffer.length < 4) return null;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (length === 127) {
+        if (buffer.length < 10) return null;
+        length = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+    }
+
+    if (length > MAX_MESSAGE_SIZE) {
+        return { fin, opcode, masked, payload: null, size: Infinity };
+    }
+
+    const maskLength = masked ? 4 : 0;
+    if (buffer.length < offset + maskLength + length) return null;
+
+    const payload = Buffer.from(buffer.subarray(offset + maskLength, offset + maskLength + length));
+    if (masked) {
+        const mask = buffer.subarray(offset, offset + 4);
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= mask[i % 4];
+        }
+    }
+
+    return { fin, opcode, masked, payload, size: offset + maskLength + length };
+}
+
+/**
+ * 转发给同一房间的其他连接
+ */
+function relay(room, sender, payload) {
+    const frame = encodeFrame(0x1, payload);
+    rooms.get(room).forEach(socket => {
+        if (socket !== sender && socket.writable) {
+            socket.write(frame);
+        }
+    });
+}
+
+/**
+ * 发送带关闭码的关闭帧并断开连接
+ */
+function closeWith(socket, code) {
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code);
+    socket.end(encodeFrame(0x8, payload));
+}
+
+function leave(room, socket) {
+    const members = rooms.get(room);
+    if (!members || !members.delete(socket)) return;
+
+    if (members.size === 0) {
+        rooms.delete(room);
+    }
+    console.log(`👋 [${room}] 断开,剩余 ${members.size} 个连接`);
+}
+
+/**
+ * 处理 WebSocket 握手和后续帧
+ */
+function handleUpgrade(req, socket) {
+    const key = req.headers['sec-websocket-key'];
+    if ((req.headers.upgrade || '').toLowerCase() !== 'websocket' || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    // 握手前解析房间名,格式错误的路径(如 /%E0%A4)不能让整个中继退出
+    let room;
+    try {
+        room = decodeURIComponent(new URL(req.url, 'http://localhost').pathname.slice(1)) || 'default';
+    } catch (error) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+
+    if (!rooms.has(room)) {
+        rooms.set(room, new Set());
+    }
+    rooms.get(room).add(socket);
+    console.log(`🔗 [${room}] 新连接,共 ${rooms.get(room).size} 个`);
+
+    let buffer = Buffer.alloc(0);
+    let fragments = []; // 分片消息
+    let fragmentsSize = 0; // 分片消息的累计字节数,与单帧共用 MAX_MESSAGE_SIZE 上限
+
+    socket.on('data', (chunk) => {
+        buffer = Buffer.concat([buffer, chunk]);
+
+        let frame;
+        while ((frame = decodeFrame(buffer))) {
+            if (frame.size === Infinity) {
+                closeWith(socket, CLOSE_TOO_LARGE);
+                return;
+            }
+            if (!frame.masked) {
+                closeWith(socket, CLOSE_PROTOCOL_ERROR);
+                return;
+            }
+            buffer = buffer.subarray(frame.size);
+
+            switch (frame.opcode) {
+                case 0x0: // 后续分片
+                case 0x1: // 文本
+                    fragmentsSize += frame.payload.length;
+                    if (fragmentsSize > MAX_MESSAGE_SIZE) {
+                        closeWith(socket, CLOSE_TOO_LARGE);
+                        return;
+                    }
+                    fragments.push(frame.payload);
+                    if (frame.fin) {
+                        relay(room, socket, Buffer.concat(fragments));
+                        fragments = [];
+                        fragmentsSize = 0;
+                    }
+                    break;
+                case 0x8: // 关闭
+                    socket.end(encodeFrame(0x8, Buffer.alloc(0)));
+                    return;
+                case 0x9: // ping
+                    socket.write(encodeFrame(0xa, frame.payload));
+                    break;
+                case 0xa: // pong
+                    break;
+                case 0x2: // 二进制
+                    closeWith(socket, CLOSE_UNSUPPORTED_DATA);
+                    return;
+                default:
+                    closeWith(socket, CLOSE_PROTOCOL_ERROR);
+                    return;
+            }
+        }
+    });
+
+    socket.on('close', () => leave(room, socket));
+    socket.on('error', () => leave(room, socket));
+}
+
+const server = http.createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('便签墙同步中继: 请使用 WebSocket 连接\n');
+});
+server.on('upgrade', handleUpgrade);
+server.listen(PORT, () => {
+    console.log(`🛰️ 便签墙同步中继已启动: ws://localhost:${PORT}/<房间名>`);
+});
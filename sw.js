@@ -0,0 +1,94 @@
+/**
+ * Service Worker
+ * 缓存应用外壳和本地文本库,断网时页面仍可打开并使用本地/离线缓存的语录
+ * 同源请求网络优先,失败时回退到缓存;跨域的语录 API 请求不经过缓存
+ */
+
+const CACHE_NAME = 'note-wall-v17'; // 修改外壳文件列表时递增版本号
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'css/style.css',
+    'js/i18n.js',
+    'js/locales/zh-CN.js',
+    'js/locales/en.js',
+    'js/wallStorage.js',
+    'js/themeManager.js',
+    'js/themeEditor.js',
+    'js/quoteProviders.js',
+    'js/quoteStore.js',
+    'js/messageLibrary.js',
+    'js/shapeSampler.js',
+    'js/layouts.js',
+    'js/spatialIndex.js',
+    'js/wallViewport.js',
+    'js/wallMinimap.js',
+    'js/noteCuller.js',
+    'js/textFitter.js',
+    'js/seededRandom.js',
+    'js/noteStore.js',
+    'js/noteGenerator.js',
+    'js/noteLifecycle.js',
+    'js/commandHistory.js',
+    'js/selectionManager.js',
+    'js/dragHandler.js',
+    'js/noteEditor.js',
+    'js/noteReader.js',
+    'js/noteMenu.js',
+    'js/noteKeyboard.js',
+    'js/wallExporter.js',
+    'js/wallSnapshot.js',
+    'js/kioskMode.js',
+    'js/syncTransports.js',
+    'js/wallSync.js',
+    'js/wallTemplate.js',
+    'js/main.js',
+    'js/noteWall.js',
+    'data/libraries.json',
+    'data/messages.json',
+    'data/quotes-en.json',
+    'data/poetry.json',
+    'data/sources.json'
+];
+
+// 安装时预缓存应用外壳
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// 激活时清理旧版本缓存
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// 同源 GET 请求: 网络优先,成功后更新缓存,失败时使用缓存
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+        return;
+    }
+
+    event.respondWith(
+        fetch(request)
+            .then(response => {
+                if (response.ok) {
+                    const copy = response.clone();
+                    caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+                }
+                return response;
+            })
+            .catch(() => caches.match(request, { ignoreSearch: true })
+                .then(cached => cached || Response.error()))
+    );
+});